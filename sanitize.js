@@ -0,0 +1,114 @@
+// Security: allowlist sanitizer for text written by visitors (comments).
+// The input is parsed into an inert document and rebuilt node by node: text is kept,
+// <br> and http(s)/mailto links survive, any other element is reduced to its text
+// and script-like elements are dropped. Nothing parsed here is ever attached to the page.
+// Pages load this before script.js (as window.ShutterSanitize); the tests in test/ require() it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShutterSanitize = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TEXT_NODE = 3;
+    const ELEMENT_NODE = 1;
+    const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'NOSCRIPT', 'TEXTAREA', 'SELECT', 'SVG', 'MATH'];
+    const BLOCK_TAGS = ['P', 'DIV', 'LI', 'BLOCKQUOTE', 'TR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+    const BARE_URL_PATTERN = /\b(https?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]])/gi;
+    const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    /**
+     * The absolute form of a link written by a visitor, if it is one that can't run script.
+     * @param {string} href
+     * @param {string} [baseUrl] - What relative links resolve against
+     * @returns {string|null} http(s) or mailto URL, or null
+     */
+    function safeLinkUrl(href, baseUrl) {
+        try {
+            const url = baseUrl ? new URL(href.trim(), baseUrl) : new URL(href.trim());
+            return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function createSafeLink(doc, href, text) {
+        const link = doc.createElement('a');
+        link.href = href;
+        link.rel = 'nofollow ugc noopener noreferrer';
+        link.target = '_blank';
+        link.textContent = text;
+        return link;
+    }
+
+    // Plain text with line breaks kept and bare URLs turned into links
+    function appendText(doc, parent, text, linkUrls) {
+        text.split('\n').forEach((line, i) => {
+            if (i > 0) parent.appendChild(doc.createElement('br'));
+
+            let last = 0;
+            if (linkUrls) {
+                line.replace(BARE_URL_PATTERN, (match, url, offset) => {
+                    parent.appendChild(doc.createTextNode(line.slice(last, offset)));
+                    const href = safeLinkUrl(url);
+                    parent.appendChild(href ? createSafeLink(doc, href, url) : doc.createTextNode(url));
+                    last = offset + match.length;
+                    return match;
+                });
+            }
+            parent.appendChild(doc.createTextNode(line.slice(last)));
+        });
+    }
+
+    function appendNodes(doc, parent, source, insideLink, baseUrl) {
+        Array.from(source.childNodes).forEach(node => {
+            if (node.nodeType === TEXT_NODE) {
+                appendText(doc, parent, node.data, !insideLink);
+                return;
+            }
+            if (node.nodeType !== ELEMENT_NODE) return;
+
+            const tag = node.tagName.toUpperCase();
+            if (DROPPED_TAGS.includes(tag)) return;
+
+            const href = tag === 'A' && !insideLink ? safeLinkUrl(node.getAttribute('href') || '', baseUrl) : null;
+            if (tag === 'BR') {
+                parent.appendChild(doc.createElement('br'));
+            } else if (href) {
+                const link = createSafeLink(doc, href, '');
+                appendNodes(doc, link, node, true, baseUrl);
+                parent.appendChild(link);
+            } else {
+                appendNodes(doc, parent, node, insideLink, baseUrl);
+                if (BLOCK_TAGS.includes(tag) && node.nextSibling) {
+                    parent.appendChild(doc.createElement('br'));
+                }
+            }
+        });
+    }
+
+    /**
+     * Turn untrusted text into safe DOM: plain text, line breaks and http(s)/mailto links only.
+     * @param {string} input - Text or HTML written by a visitor
+     * @param {Document} [doc] - Document that will own the nodes (the page's own in the browser)
+     * @returns {DocumentFragment} Fresh nodes, safe to append anywhere
+     */
+    function sanitizeUserContent(input, doc) {
+        const owner = doc || document;
+        const fragment = owner.createDocumentFragment();
+        if (typeof input !== 'string' || !input) return fragment;
+
+        // A document without a browsing context: nothing in it loads or runs
+        const inert = owner.implementation.createHTMLDocument('');
+        inert.body.innerHTML = input.replace(/\r\n?/g, '\n');
+        appendNodes(owner, fragment, inert.body, false, owner.baseURI);
+        return fragment;
+    }
+
+    return {
+        sanitizeUserContent,
+        safeLinkUrl
+    };
+});
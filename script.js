@@ -4,14 +4,107 @@
 (function() {
     'use strict';
     
-    // Security: Input sanitization
-    function sanitizeInput(input) {
-        if (typeof input !== 'string') return '';
-        return input
-            .replace(/[<>]/g, '') // Remove potential HTML tags
-            .replace(/javascript:/gi, '') // Remove javascript: protocol
-            .replace(/on\w+=/gi, '') // Remove event handlers
-            .trim();
+    // Site root, worked out from where script.js was loaded (pages in posts/ load ../script.js)
+    const siteScript = document.currentScript || document.querySelector('script[src$="script.js"]');
+    const SITE_ROOT = new URL('./', (siteScript && siteScript.src) || window.location.href);
+    
+    // Local API (server/index.js); <meta name="api-base" content="..."> points pages at another host
+    function apiUrl(path) {
+        const meta = document.querySelector('meta[name="api-base"]');
+        const base = meta ? new URL(meta.content, SITE_ROOT) : new URL('api/', SITE_ROOT);
+        return new URL(path, base.href.endsWith('/') ? base : base.href + '/').href;
+    }
+    
+    // Motion preference: the reader's choice from the header toggle ('reduce' or 'full')
+    // wins over the operating system's reduced-motion setting
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    
+    function prefersReducedMotion() {
+        const saved = localStorage.getItem('motion');
+        if (saved === 'reduce') return true;
+        if (saved === 'full') return false;
+        return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+    
+    function scrollBehavior() {
+        return prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+    
+    // Permalinks: every post has its own page, and #/post/<slug>/photo/<n> on any page showing the post
+    // opens its nth photo or clip (counted like the lightbox, starting at 1)
+    const POST_MEDIA_SELECTOR = '.blog-image img, .blog-image-half img, .blog-image video, .blog-image-grid video';
+    const POST_ROUTE = /^#\/post\/([a-z0-9-]+)(?:\/photo\/(\d+))?\/?$/;
+    
+    function parsePostRoute(hash) {
+        const match = String(hash).match(POST_ROUTE);
+        return match ? { slug: match[1], photo: match[2] ? Number(match[2]) : null } : null;
+    }
+    
+    function getPostUrl(slug, photoNumber) {
+        const url = new URL(`posts/${slug}.html`, SITE_ROOT);
+        if (photoNumber) {
+            url.hash = `#/post/${slug}/photo/${photoNumber}`;
+        }
+        return url.href;
+    }
+    
+    // Post dates are shown as "October 24, 2025"; these read them back and write them the same way
+    const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    
+    // "October 24, 2025" as "2025-10-24", like parseDisplayDate() in tools/lib/posts.js
+    function parsePostDate(text) {
+        const match = String(text).trim().match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+        if (!match || match[1].length < 3) return null;
+        
+        const month = MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(match[1].toLowerCase()));
+        const day = Number(match[2]);
+        const date = new Date(Date.UTC(Number(match[3]), month, day));
+        
+        if (month === -1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().slice(0, 10);
+    }
+    
+    function formatPostDate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+    }
+    
+    // Toast messages go into one live region so assistive technology announces them
+    function getToastRegion() {
+        let region = document.querySelector('.toast-region');
+        if (!region) {
+            region = document.createElement('div');
+            region.className = 'toast-region';
+            region.setAttribute('role', 'alert');
+            region.setAttribute('aria-live', 'assertive');
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+    
+    // Comments written by visitors go through the allowlist sanitizer in sanitize.js, loaded just before this file
+    const { sanitizeUserContent } = window.ShutterSanitize;
+    
+    // Escaping for markup that is built as a string (the composer's <article> export)
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    // Same inline Markdown as tools/lib/markdown.js: `code`, **bold**, *italic* and [links](url)
+    function renderInlineMarkdown(text) {
+        return escapeHtml(text)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                // Only links that cannot execute script
+                const safe = /^(https?:|mailto:|#|\/|\.\.?\/)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+                return `<a href="${safe ? url : '#'}">${label}</a>`;
+            });
     }
     
     // Security: File type validation
@@ -30,55 +123,654 @@
         return true;
     }
     
+    // EXIF: minimal JPEG/TIFF metadata reader for the tags shown in the shot details panel
+    const EXIF_TAGS = {
+        0x010F: 'make',
+        0x0110: 'model',
+        0x0112: 'orientation',
+        0x0132: 'dateTime',
+        0x8769: 'exifIfdPointer',
+        0x8825: 'gpsIfdPointer',
+        0x829A: 'exposureTime',
+        0x829D: 'fNumber',
+        0x8827: 'iso',
+        0x9003: 'dateTimeOriginal',
+        0x920A: 'focalLength',
+        0xA405: 'focalLength35mm',
+        0xA434: 'lensModel'
+    };
+    
+    const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    
+    function readExifValue(view, tiffStart, entryOffset, littleEndian) {
+        const type = view.getUint16(entryOffset + 2, littleEndian);
+        const count = view.getUint32(entryOffset + 4, littleEndian);
+        const size = EXIF_TYPE_SIZES[type];
+        if (!size) return undefined;
+        
+        const valueOffset = size * count > 4
+            ? tiffStart + view.getUint32(entryOffset + 8, littleEndian)
+            : entryOffset + 8;
+        
+        const readOne = (offset) => {
+            switch (type) {
+                case 3: return view.getUint16(offset, littleEndian);
+                case 4: return view.getUint32(offset, littleEndian);
+                case 9: return view.getInt32(offset, littleEndian);
+                case 5: return view.getUint32(offset, littleEndian) / view.getUint32(offset + 4, littleEndian);
+                case 10: return view.getInt32(offset, littleEndian) / view.getInt32(offset + 4, littleEndian);
+                default: return view.getUint8(offset);
+            }
+        };
+        
+        if (type === 2) {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const code = view.getUint8(valueOffset + i);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            return text.trim();
+        }
+        
+        if (count === 1) return readOne(valueOffset);
+        return Array.from({ length: count }, (_, i) => readOne(valueOffset + i * size));
+    }
+    
+    function readExifIfd(view, tiffStart, ifdOffset, littleEndian, tags) {
+        const start = tiffStart + ifdOffset;
+        const entries = view.getUint16(start, littleEndian);
+        
+        for (let i = 0; i < entries; i++) {
+            const entryOffset = start + 2 + i * 12;
+            const name = EXIF_TAGS[view.getUint16(entryOffset, littleEndian)];
+            if (name) {
+                tags[name] = readExifValue(view, tiffStart, entryOffset, littleEndian);
+            }
+        }
+    }
+    
+    /**
+     * Read EXIF tags from the start of a JPEG file.
+     * @param {ArrayBuffer} buffer - The JPEG bytes (the first 128KB is enough)
+     * @returns {Object|null} Known tags by name, or null when the file has no readable EXIF
+     */
+    function readExif(buffer) {
+        try {
+            const view = new DataView(buffer);
+            if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+            
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;
+                
+                const isExif = marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966; // "Exif"
+                if (isExif) {
+                    const tiffStart = offset + 10;
+                    const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+                    const tags = {};
+                    
+                    readExifIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian, tags);
+                    if (tags.exifIfdPointer) {
+                        readExifIfd(view, tiffStart, tags.exifIfdPointer, littleEndian, tags);
+                    }
+                    
+                    delete tags.exifIfdPointer;
+                    return Object.keys(tags).length ? tags : null;
+                }
+                
+                offset += 2 + view.getUint16(offset + 2);
+            }
+        } catch (error) {
+            // Truncated or malformed metadata is treated the same as missing metadata
+        }
+        return null;
+    }
+    
+    // Blank out an IFD, including values stored outside it (GPS coordinates live there)
+    function wipeExifIfd(view, tiffStart, ifdOffset, littleEndian) {
+        const start = tiffStart + ifdOffset;
+        const entries = view.getUint16(start, littleEndian);
+        
+        for (let i = 0; i < entries; i++) {
+            const entryOffset = start + 2 + i * 12;
+            const size = (EXIF_TYPE_SIZES[view.getUint16(entryOffset + 2, littleEndian)] || 1)
+                * view.getUint32(entryOffset + 4, littleEndian);
+            
+            if (size > 4) {
+                const valueOffset = tiffStart + view.getUint32(entryOffset + 8, littleEndian);
+                for (let j = 0; j < size; j++) view.setUint8(valueOffset + j, 0);
+            }
+            for (let j = 0; j < 12; j++) view.setUint8(entryOffset + j, 0);
+        }
+        view.setUint16(start, 0, littleEndian);
+    }
+    
+    /**
+     * Copy a JPEG's EXIF segment so it can be put back after the photo is redrawn on a canvas.
+     * The orientation is reset (the redrawn pixels are already upright), the thumbnail is
+     * unlinked and, when asked, the GPS block is wiped.
+     * @param {ArrayBuffer} buffer - The JPEG bytes (the first 128KB is enough)
+     * @param {Object} [options]
+     * @param {boolean} [options.stripGps] - Remove the location tags
+     * @returns {Uint8Array|null} The whole APP1 segment, or null when there is no usable EXIF
+     */
+    function extractExifSegment(buffer, options = {}) {
+        try {
+            const view = new DataView(buffer);
+            if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+            
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;
+                const length = view.getUint16(offset + 2);
+                
+                if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                    const segment = new Uint8Array(buffer.slice(offset, offset + 2 + length));
+                    const segmentView = new DataView(segment.buffer);
+                    const tiffStart = 10;
+                    const littleEndian = segmentView.getUint16(tiffStart) === 0x4949;
+                    const ifd0 = tiffStart + segmentView.getUint32(tiffStart + 4, littleEndian);
+                    const entries = segmentView.getUint16(ifd0, littleEndian);
+                    
+                    for (let i = 0; i < entries; i++) {
+                        const entryOffset = ifd0 + 2 + i * 12;
+                        const tag = segmentView.getUint16(entryOffset, littleEndian);
+                        
+                        if (tag === 0x0112) {
+                            segmentView.setUint16(entryOffset + 8, 1, littleEndian);
+                        } else if (tag === 0x8825 && options.stripGps) {
+                            wipeExifIfd(segmentView, tiffStart, segmentView.getUint32(entryOffset + 8, littleEndian), littleEndian);
+                        }
+                    }
+                    
+                    // The thumbnail IFD follows IFD0 and would still be drawn sideways
+                    segmentView.setUint32(ifd0 + 2 + entries * 12, 0, littleEndian);
+                    return segment;
+                }
+                
+                offset += 2 + length;
+            }
+        } catch (error) {
+            // Metadata we can't rewrite safely is left out altogether
+        }
+        return null;
+    }
+    
+    // Put an EXIF segment into canvas output, after its JFIF header
+    async function insertExifSegment(jpegBlob, segment) {
+        const bytes = new Uint8Array(await jpegBlob.arrayBuffer());
+        const hasJfif = bytes[2] === 0xFF && bytes[3] === 0xE0;
+        const insertAt = hasJfif ? 4 + ((bytes[4] << 8) | bytes[5]) : 2;
+        
+        return new Blob([bytes.slice(0, insertAt), segment, bytes.slice(insertAt)], { type: 'image/jpeg' });
+    }
+    
+    // Canvas resizer: fits the image inside maxSize x maxSize without upscaling.
+    // Browsers draw photos upright according to their EXIF orientation, so the output needs no rotation.
+    function resizeImage(file, maxSize = 1200, quality = 0.8, type = 'image/jpeg') {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                const ratio = Math.min(maxSize / img.naturalWidth, maxSize / img.naturalHeight, 1);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.naturalWidth * ratio);
+                canvas.height = Math.round(img.naturalHeight * ratio);
+                
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('The image could not be converted.'));
+                    }
+                }, type, quality);
+            };
+            
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The image could not be read.'));
+            };
+            
+            img.src = url;
+        });
+    }
+    
+    // Large enough for the lightbox on big screens; tools/images.js makes the smaller sizes
+    const UPLOAD_MAX_SIZE = 2400;
+    
+    /**
+     * Get a photo ready for upload: upright, downscaled and, if asked, without GPS tags.
+     * @param {File} file
+     * @param {Object} [options]
+     * @param {boolean} [options.stripGps] - Remove the location from JPEG metadata
+     * @returns {Promise<Blob>}
+     */
+    async function prepareImageForUpload(file, options = {}) {
+        // A canvas would flatten animated GIFs to their first frame
+        if (file.type === 'image/gif') return file;
+        
+        const type = ['image/png', 'image/webp'].includes(file.type) ? file.type : 'image/jpeg';
+        const resized = await resizeImage(file, UPLOAD_MAX_SIZE, 0.85, type);
+        if (type !== 'image/jpeg') return resized;
+        
+        // The canvas drops all metadata; put the camera details back for the shot details panel
+        const segment = extractExifSegment(await file.slice(0, 131072).arrayBuffer(), options);
+        return segment ? insertExifSegment(resized, segment) : resized;
+    }
+    
+    // Public API
+    // window.ShutterThoughts lets pages and small plugins hook into the site without editing this file.
+    // The built-in managers are registered by name along with the markup they need, and only start on
+    // pages that have it. A page can switch any of them off, or pass one settings, with a JSON block:
+    //
+    //   <script type="application/json" id="siteConfig">{ "pagination": { "pageSize": 10 }, "slideshow": false }</script>
+    //
+    // Plugins are scripts loaded after this one. They register the same way and listen for events:
+    //
+    //   ShutterThoughts.register('likeLog', () => {
+    //       ShutterThoughts.on('photo:like', ({ photoId, liked }) => console.log(photoId, liked));
+    //   });
+    //
+    // Events: theme:change { theme, resolved }, photo:like { photoId, liked, count },
+    // post:view { postId, post }, modal:open { modal, items, index }, modal:close { modal },
+    // posts:filter { filter }, posts:search { active, count } and ready.
+    const SITE_CONFIG_ID = 'siteConfig';
+    
+    function readPageConfig() {
+        const element = document.getElementById(SITE_CONFIG_ID);
+        if (!element) return {};
+        
+        try {
+            const config = JSON.parse(element.textContent);
+            return config && typeof config === 'object' ? config : {};
+        } catch (error) {
+            console.error('Ignoring invalid page config:', error);
+            return {};
+        }
+    }
+    
+    class SiteRegistry {
+        constructor() {
+            this.entries = new Map();
+            this.listeners = new Map();
+            this.settings = {};
+            this.started = false;
+        }
+        
+        /**
+         * Add a manager or plugin. It starts with the others once the page is ready,
+         * or straight away if that has already happened.
+         * @param {string} name
+         * @param {Function} factory - Called with the entry's settings; what it returns is kept for get()
+         * @param {Object} [options]
+         * @param {string} [options.selector] - Only start on pages with matching markup
+         * @param {boolean} [options.enabled] - Set false for entries a page has to switch on
+         * @param {Object} [options.config] - Default settings, overridden key by key by the page's
+         * @returns {SiteRegistry}
+         */
+        register(name, factory, options = {}) {
+            if (this.entries.has(name)) {
+                throw new Error(`"${name}" is already registered`);
+            }
+            
+            const entry = {
+                name,
+                factory,
+                selector: options.selector || null,
+                enabled: options.enabled !== false,
+                config: options.config || {},
+                instance: null,
+                status: 'pending'
+            };
+            this.entries.set(name, entry);
+            
+            if (this.started) {
+                this.start(entry);
+            }
+            return this;
+        }
+        
+        /**
+         * Switch an entry off (false) or on (true), or give it settings (an object, which also
+         * switches it on unless it has "enabled": false). Takes effect for entries not yet started.
+         * @param {string|Object} name - Or an object of settings keyed by name
+         * @param {boolean|Object} [value]
+         * @returns {SiteRegistry}
+         */
+        configure(name, value) {
+            if (name && typeof name === 'object') {
+                Object.keys(name).forEach(key => this.configure(key, name[key]));
+            } else {
+                this.settings[name] = value;
+            }
+            return this;
+        }
+        
+        start(entry) {
+            const setting = this.settings[entry.name];
+            const overrides = setting && typeof setting === 'object' ? setting : {};
+            const enabled = typeof setting === 'boolean' ? setting
+                : (setting ? overrides.enabled !== false : entry.enabled);
+            
+            if (!enabled) {
+                entry.status = 'disabled';
+            } else if (entry.selector && !document.querySelector(entry.selector)) {
+                entry.status = 'skipped';
+            } else {
+                // One manager failing must not stop the rest of the page from working
+                try {
+                    entry.instance = entry.factory({ ...entry.config, ...overrides }) || null;
+                    entry.status = 'started';
+                } catch (error) {
+                    entry.status = 'failed';
+                    console.error(`Error starting ${entry.name}:`, error);
+                }
+            }
+        }
+        
+        startAll() {
+            if (this.started) return;
+            
+            // Settings from scripts win over the page's JSON block
+            this.settings = { ...readPageConfig(), ...this.settings };
+            this.started = true;
+            this.entries.forEach(entry => this.start(entry));
+            this.emit('ready', { managers: this.list() });
+        }
+        
+        get(name) {
+            const entry = this.entries.get(name);
+            return entry ? entry.instance : null;
+        }
+        
+        // Name and status (pending, started, skipped, disabled or failed) of every entry, in start order
+        list() {
+            return Array.from(this.entries.values(), entry => ({ name: entry.name, status: entry.status }));
+        }
+        
+        on(type, handler) {
+            if (!this.listeners.has(type)) {
+                this.listeners.set(type, new Set());
+            }
+            this.listeners.get(type).add(handler);
+            return () => this.off(type, handler);
+        }
+        
+        off(type, handler) {
+            const handlers = this.listeners.get(type);
+            if (handlers) {
+                handlers.delete(handler);
+            }
+        }
+        
+        emit(type, detail = {}) {
+            const handlers = this.listeners.get(type);
+            if (!handlers) return;
+            
+            Array.from(handlers).forEach(handler => {
+                try {
+                    handler(detail);
+                } catch (error) {
+                    console.error(`Error in ${type} listener:`, error);
+                }
+            });
+        }
+    }
+    
+    const ShutterThoughts = new SiteRegistry();
+    window.ShutterThoughts = ShutterThoughts;
+    
     // Theme Management with Local Storage
+    // "auto" follows the OS setting live; the other choices are fixed palettes.
+    // The inline script in each page's <head> applies the same logic before first paint.
+    const THEMES = [
+        { id: 'auto', label: 'System', icon: '🖥️' },
+        { id: 'light', label: 'Light', icon: '☀️' },
+        { id: 'dark', label: 'Dark', icon: '🌙' },
+        { id: 'film', label: 'Film', icon: '🎞️' },
+        { id: 'night-sky', label: 'Night sky', icon: '🌌' }
+    ];
+    // Before the theme menu, every first visit saved 'light', so a leftover 'light' isn't a choice.
+    // It is dropped once, and the version stored so a 'light' picked from the menu later is kept.
+    const THEME_STORAGE_VERSION = '2';
+    
     class ThemeManager {
         constructor() {
             this.themeToggle = document.getElementById('themeToggle');
-            this.currentTheme = localStorage.getItem('theme') || 'light';
+            this.systemDark = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+            this.currentTheme = this.getSavedTheme();
             this.init();
         }
         
         init() {
             this.applyTheme(this.currentTheme);
-            this.bindEvents();
+            if (this.themeToggle) {
+                this.createMenu();
+                this.bindEvents();
+            }
+        }
+        
+        getSavedTheme() {
+            if (localStorage.getItem('themeVersion') !== THEME_STORAGE_VERSION) {
+                if (localStorage.getItem('theme') === 'light') {
+                    localStorage.removeItem('theme');
+                }
+                localStorage.setItem('themeVersion', THEME_STORAGE_VERSION);
+            }
+            
+            const saved = localStorage.getItem('theme');
+            return THEMES.some(theme => theme.id === saved) ? saved : 'auto';
+        }
+        
+        resolveTheme(theme) {
+            if (theme !== 'auto') return theme;
+            return this.systemDark && this.systemDark.matches ? 'dark' : 'light';
         }
         
         applyTheme(theme) {
-            document.documentElement.setAttribute('data-theme', theme);
+            document.documentElement.setAttribute('data-theme', this.resolveTheme(theme));
             this.updateThemeIcon(theme);
-            localStorage.setItem('theme', theme);
         }
         
         updateThemeIcon(theme) {
-            const icon = this.themeToggle.querySelector('.theme-icon');
-            icon.textContent = theme === 'dark' ? '☀️' : '🌙';
+            if (!this.themeToggle) return;
+            
+            const option = THEMES.find(item => item.id === theme);
+            this.themeToggle.querySelector('.theme-icon').textContent = option.icon;
+            this.themeToggle.setAttribute('aria-label', `Theme: ${option.label}`);
+            
+            if (this.menu) {
+                this.menu.querySelectorAll('[data-theme-option]').forEach(item => {
+                    item.setAttribute('aria-checked', String(item.dataset.themeOption === theme));
+                });
+            }
         }
         
-        toggleTheme() {
-            this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-            this.applyTheme(this.currentTheme);
+        setTheme(theme) {
+            this.currentTheme = theme;
+            
+            // Only an explicit choice is remembered, so "auto" keeps following the OS
+            if (theme === 'auto') {
+                localStorage.removeItem('theme');
+            } else {
+                localStorage.setItem('theme', theme);
+            }
             
             // Add smooth transition effect
             document.body.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+            this.applyTheme(theme);
+            this.announce(theme);
             setTimeout(() => {
                 document.body.style.transition = '';
             }, 300);
         }
         
+        announce(theme) {
+            ShutterThoughts.emit('theme:change', { theme, resolved: this.resolveTheme(theme) });
+        }
+        
+        createMenu() {
+            const picker = document.createElement('div');
+            picker.className = 'theme-picker';
+            this.themeToggle.before(picker);
+            picker.appendChild(this.themeToggle);
+            
+            this.menu = document.createElement('ul');
+            this.menu.className = 'theme-menu';
+            this.menu.id = 'themeMenu';
+            this.menu.setAttribute('role', 'menu');
+            this.menu.setAttribute('aria-label', 'Theme');
+            this.menu.hidden = true;
+            
+            THEMES.forEach(theme => {
+                const item = document.createElement('li');
+                item.setAttribute('role', 'none');
+                item.innerHTML = `
+                    <button type="button" role="menuitemradio" data-theme-option="${theme.id}" tabindex="-1">
+                        <span class="theme-option-icon" aria-hidden="true">${theme.icon}</span>
+                        ${theme.label}
+                    </button>
+                `;
+                this.menu.appendChild(item);
+            });
+            picker.appendChild(this.menu);
+            
+            this.menuItems = Array.from(this.menu.querySelectorAll('[data-theme-option]'));
+            this.themeToggle.setAttribute('aria-haspopup', 'menu');
+            this.themeToggle.setAttribute('aria-expanded', 'false');
+            this.themeToggle.setAttribute('aria-controls', 'themeMenu');
+            this.updateThemeIcon(this.currentTheme);
+        }
+        
+        openMenu(focusLast = false) {
+            this.menu.hidden = false;
+            this.themeToggle.setAttribute('aria-expanded', 'true');
+            
+            const checked = this.menuItems.find(item => item.getAttribute('aria-checked') === 'true');
+            (focusLast ? this.menuItems[this.menuItems.length - 1] : checked || this.menuItems[0]).focus();
+        }
+        
+        closeMenu(returnFocus = true) {
+            if (this.menu.hidden) return;
+            this.menu.hidden = true;
+            this.themeToggle.setAttribute('aria-expanded', 'false');
+            if (returnFocus) this.themeToggle.focus();
+        }
+        
         bindEvents() {
-            this.themeToggle.addEventListener('click', () => this.toggleTheme());
+            this.themeToggle.addEventListener('click', () => {
+                if (this.menu.hidden) {
+                    this.openMenu();
+                } else {
+                    this.closeMenu();
+                }
+            });
+            
+            this.themeToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.openMenu(e.key === 'ArrowUp');
+                }
+            });
+            
+            this.menu.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-theme-option]');
+                if (!item) return;
+                this.setTheme(item.dataset.themeOption);
+                this.closeMenu();
+            });
+            
+            this.menu.addEventListener('keydown', (e) => {
+                const index = this.menuItems.indexOf(document.activeElement);
+                const moves = {
+                    ArrowDown: index + 1,
+                    ArrowUp: index - 1,
+                    Home: 0,
+                    End: this.menuItems.length - 1
+                };
+                
+                if (e.key in moves) {
+                    e.preventDefault();
+                    const next = (moves[e.key] + this.menuItems.length) % this.menuItems.length;
+                    this.menuItems[next].focus();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeMenu();
+                } else if (e.key === 'Tab') {
+                    this.closeMenu(false);
+                }
+            });
+            
+            document.addEventListener('click', (e) => {
+                if (!e.target.closest('.theme-picker')) this.closeMenu(false);
+            });
+            
+            // Follow OS changes live while in "auto"
+            if (this.systemDark) {
+                this.systemDark.addEventListener('change', () => {
+                    if (this.currentTheme === 'auto') {
+                        this.applyTheme('auto');
+                        this.announce('auto');
+                    }
+                });
+            }
+        }
+    }
+    
+    // Motion Management
+    // Mirrors the preference onto <html data-motion> for the stylesheet and adds a "Reduce motion"
+    // switch beside the theme picker. Other managers check prefersReducedMotion() before animating.
+    class MotionManager {
+        constructor() {
+            this.picker = document.querySelector('.theme-picker');
+            this.init();
+        }
+        
+        init() {
+            if (this.picker) {
+                this.createToggle();
+            }
+            this.applyPreference();
             
-            // Listen for system theme changes
-            if (window.matchMedia) {
-                const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-                mediaQuery.addEventListener('change', (e) => {
-                    if (!localStorage.getItem('theme')) {
-                        this.currentTheme = e.matches ? 'dark' : 'light';
-                        this.applyTheme(this.currentTheme);
+            // Follow OS changes live until the reader picks a setting
+            if (reducedMotionQuery) {
+                reducedMotionQuery.addEventListener('change', () => {
+                    if (!localStorage.getItem('motion')) {
+                        this.applyPreference();
                     }
                 });
             }
         }
+        
+        createToggle() {
+            this.toggle = document.createElement('button');
+            this.toggle.type = 'button';
+            this.toggle.className = 'theme-toggle motion-toggle';
+            this.toggle.setAttribute('aria-label', 'Reduce motion');
+            this.toggle.title = 'Reduce motion';
+            this.toggle.innerHTML = '<span class="theme-icon" aria-hidden="true">🐢</span>';
+            this.picker.appendChild(this.toggle);
+            
+            this.toggle.addEventListener('click', () => {
+                localStorage.setItem('motion', prefersReducedMotion() ? 'full' : 'reduce');
+                this.applyPreference();
+            });
+        }
+        
+        applyPreference() {
+            const reduced = prefersReducedMotion();
+            document.documentElement.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+            if (this.toggle) {
+                this.toggle.setAttribute('aria-pressed', String(reduced));
+            }
+            document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced } }));
+        }
     }
     
     // Loading State Management
@@ -96,55 +788,420 @@
         }
     }
     
-    // Gallery Management with Filtering
-    class GalleryManager {
-        constructor() {
-            this.photoItems = document.querySelectorAll('.photo-item');
-            this.filterButtons = document.querySelectorAll('.filter-btn');
-            this.currentFilter = 'all';
-            this.init();
+    // Likes Management
+    // Counts come from a storage adapter; whether this visitor liked a photo is always kept locally.
+    // Adapters implement getCounts(ids) -> { id: count } and setLiked(id, liked, visitorId) -> count.
+    class LocalLikesAdapter {
+        constructor(storageKey = 'photoLikeCounts') {
+            this.storageKey = storageKey;
         }
         
-        init() {
-            this.bindEvents();
-            this.setupPhotoUploads();
-            this.setupPhotoActions();
+        read() {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            } catch (error) {
+                return {};
+            }
         }
         
-        bindEvents() {
-            this.filterButtons.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const filter = e.target.dataset.filter;
-                    this.filterPhotos(filter);
-                    this.updateActiveButton(e.target);
-                });
-            });
+        async getCounts(ids) {
+            const counts = this.read();
+            return Object.fromEntries(ids.map(id => [id, counts[id] || 0]));
         }
         
-        filterPhotos(filter) {
-            this.currentFilter = filter;
+        async setLiked(id, liked) {
+            const counts = this.read();
+            counts[id] = Math.max((counts[id] || 0) + (liked ? 1 : -1), 0);
+            if (!counts[id]) delete counts[id];
+            localStorage.setItem(this.storageKey, JSON.stringify(counts));
+            return counts[id] || 0;
+        }
+    }
+    
+    class HttpLikesAdapter {
+        constructor(endpoint) {
+            this.endpoint = endpoint;
+        }
+        
+        async getCounts(ids) {
+            const url = new URL(this.endpoint);
+            url.searchParams.set('ids', ids.join(','));
             
-            this.photoItems.forEach(item => {
-                const category = item.dataset.category;
-                const shouldShow = filter === 'all' || category === filter;
-                
-                if (shouldShow) {
-                    item.classList.remove('hidden');
-                    item.style.animation = 'fadeInUp 0.5s ease forwards';
-                } else {
-                    item.classList.add('hidden');
-                    item.style.animation = 'fadeOutDown 0.3s ease forwards';
-                }
-            });
+            const response = await fetch(url.href, { headers: { Accept: 'application/json' } });
+            if (!response.ok) throw new Error(`Likes request failed (HTTP ${response.status})`);
+            return (await response.json()).counts || {};
         }
         
-        updateActiveButton(activeBtn) {
-            this.filterButtons.forEach(btn => btn.classList.remove('active'));
-            activeBtn.classList.add('active');
+        async setLiked(id, liked, visitorId) {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id, liked, visitor: visitorId })
+            });
+            if (!response.ok) throw new Error(`Could not save like (HTTP ${response.status})`);
+            return (await response.json()).count;
+        }
+    }
+    
+    class LikeStore {
+        constructor(adapter) {
+            this.adapter = adapter;
+            this.liked = new Set(this.readJson('likedPhotos', []));
+            this.saving = new Set();
+            this.visitorId = localStorage.getItem('likesVisitorId') || this.createVisitorId();
         }
         
-        setupPhotoUploads() {
-            const photoPlaceholders = document.querySelectorAll('.photo-placeholder');
+        readJson(key, fallback) {
+            try {
+                return JSON.parse(localStorage.getItem(key)) || fallback;
+            } catch (error) {
+                return fallback;
+            }
+        }
+        
+        // Random and anonymous; only lets the server count each visitor once per photo
+        createVisitorId() {
+            const id = window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+            localStorage.setItem('likesVisitorId', id);
+            return id;
+        }
+        
+        setAdapter(adapter) {
+            this.adapter = adapter;
+        }
+        
+        isLiked(id) {
+            return this.liked.has(id);
+        }
+        
+        // Until a save settles the stored state is the old one, so another toggle would repeat it
+        isSaving(id) {
+            return this.saving.has(id);
+        }
+        
+        async getCounts(ids) {
+            try {
+                return await this.adapter.getCounts(ids);
+            } catch (error) {
+                // No server running (e.g. static hosting): keep likes on this device instead
+                if (this.adapter instanceof LocalLikesAdapter) throw error;
+                this.setAdapter(new LocalLikesAdapter());
+                return this.adapter.getCounts(ids);
+            }
+        }
+        
+        async toggle(id) {
+            if (this.isSaving(id)) {
+                throw new Error('This like is still being saved');
+            }
+            
+            const liked = !this.isLiked(id);
+            let count;
+            this.saving.add(id);
+            try {
+                count = await this.adapter.setLiked(id, liked, this.visitorId);
+            } finally {
+                this.saving.delete(id);
+            }
+            
+            if (liked) {
+                this.liked.add(id);
+            } else {
+                this.liked.delete(id);
+            }
+            localStorage.setItem('likedPhotos', JSON.stringify(Array.from(this.liked)));
+            
+            return { liked, count };
+        }
+    }
+    
+    // Shared by the like buttons on post photos and the legacy photo grid
+    let likeStore = null;
+    function getLikeStore() {
+        if (!likeStore) {
+            const canUseServer = /^https?:$/.test(window.location.protocol);
+            likeStore = new LikeStore(canUseServer ? new HttpLikesAdapter(apiUrl('likes')) : new LocalLikesAdapter());
+        }
+        return likeStore;
+    }
+    
+    // Stable ID for a photo: its path from the site root, so title edits and reordering keep the likes
+    function getPhotoId(img) {
+        const src = new URL(img.getAttribute('src'), window.location.href);
+        return decodeURIComponent(src.pathname.slice(SITE_ROOT.pathname.length));
+    }
+    
+    class LikesManager {
+        constructor() {
+            this.store = getLikeStore();
+            this.buttons = new Map();
+            this.init();
+        }
+        
+        init() {
+            document.querySelectorAll('.blog-image img, .blog-image-half img').forEach(img => {
+                this.createButton(img);
+            });
+            
+            if (this.buttons.size) {
+                this.loadCounts();
+            }
+        }
+        
+        createButton(img) {
+            const id = getPhotoId(img);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'like-btn';
+            button.dataset.photoId = id;
+            button.setAttribute('aria-label', `Like photo: ${img.alt || 'untitled'}`);
+            button.innerHTML = '<span class="like-icon" aria-hidden="true"></span><span class="like-count">0</span>';
+            
+            // Directly under the photo and its caption, above the shot details
+            const media = img.closest('picture') || img;
+            const caption = media.nextElementSibling && media.nextElementSibling.classList.contains('image-caption')
+                ? media.nextElementSibling
+                : null;
+            (caption || media).after(button);
+            
+            button.addEventListener('click', () => this.toggle(id));
+            
+            if (!this.buttons.has(id)) this.buttons.set(id, []);
+            this.buttons.get(id).push(button);
+            this.render(id, 0);
+        }
+        
+        async loadCounts() {
+            const ids = Array.from(this.buttons.keys());
+            
+            try {
+                const counts = await this.store.getCounts(ids);
+                ids.forEach(id => this.render(id, counts[id] || 0));
+            } catch (error) {
+                console.error('Error loading likes:', error);
+            }
+        }
+        
+        async toggle(id) {
+            // Clicks while the last one is saving are ignored rather than sent again
+            if (this.store.isSaving(id)) return;
+            
+            const buttons = this.buttons.get(id);
+            const previous = Number(buttons[0].dataset.count) || 0;
+            const liked = !this.store.isLiked(id);
+            
+            // Update straight away and settle on the stored count once it's saved
+            this.render(id, Math.max(previous + (liked ? 1 : -1), 0), liked);
+            if (liked && !prefersReducedMotion()) {
+                buttons.forEach(button => {
+                    button.style.animation = 'heartBeat 0.6s ease';
+                    setTimeout(() => {
+                        button.style.animation = '';
+                    }, 600);
+                });
+            }
+            
+            buttons.forEach(button => button.setAttribute('aria-busy', 'true'));
+            try {
+                const result = await this.store.toggle(id);
+                this.render(id, result.count);
+                ShutterThoughts.emit('photo:like', { photoId: id, liked, count: result.count });
+            } catch (error) {
+                // Nothing was saved: put back the count and state from before the click
+                console.error('Error saving like:', error);
+                this.render(id, previous);
+            } finally {
+                buttons.forEach(button => button.removeAttribute('aria-busy'));
+            }
+        }
+        
+        render(id, count, liked = this.store.isLiked(id)) {
+            this.buttons.get(id).forEach(button => {
+                button.dataset.count = count;
+                button.setAttribute('aria-pressed', String(liked));
+                button.classList.toggle('liked', liked);
+                button.querySelector('.like-icon').textContent = liked ? '♥' : '♡';
+                button.querySelector('.like-count').textContent = count;
+                button.title = `${count} ${count === 1 ? 'like' : 'likes'}`;
+            });
+        }
+    }
+    
+    // Gallery Management with Filtering
+    class GalleryManager {
+        constructor() {
+            this.photoItems = document.querySelectorAll('.photo-item');
+            this.posts = document.querySelectorAll('.blog-post');
+            this.filterItems = [...this.photoItems, ...this.posts];
+            this.currentFilter = 'all';
+            this.hideTimers = new Map();
+            this.init();
+        }
+        
+        init() {
+            this.setupCategoryFilter();
+            this.filterButtons = document.querySelectorAll('.filter-btn');
+            this.bindEvents();
+            this.setupPhotoUploads();
+            this.setupPhotoActions();
+            this.setupPostLightbox();
+            this.restoreFilterFromUrl();
+        }
+        
+        bindEvents() {
+            this.filterButtons.forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const filter = e.currentTarget.dataset.filter;
+                    this.filterPhotos(filter);
+                });
+            });
+            
+            // Restore the filter when navigating back/forward through filtered views
+            window.addEventListener('popstate', () => {
+                this.filterPhotos(this.getFilterFromUrl(), { updateUrl: false });
+            });
+        }
+        
+        // Build the filter bar from the categories found in the blog posts
+        setupCategoryFilter() {
+            const postList = document.querySelector('.blog-posts');
+            if (!postList || this.posts.length === 0) return;
+            
+            const counts = new Map();
+            this.posts.forEach(post => {
+                const categoryElement = post.querySelector('.post-category');
+                const category = categoryElement ? categoryElement.textContent.trim() : '';
+                
+                if (category) {
+                    post.dataset.category = category;
+                    counts.set(category, (counts.get(category) || 0) + 1);
+                }
+            });
+            
+            if (counts.size === 0) return;
+            
+            const filters = [{ filter: 'all', label: 'All', count: this.posts.length }];
+            Array.from(counts.keys()).sort().forEach(category => {
+                filters.push({ filter: category, label: category, count: counts.get(category) });
+            });
+            
+            const filterBar = document.createElement('div');
+            filterBar.className = 'gallery-controls';
+            filterBar.setAttribute('role', 'toolbar');
+            filterBar.setAttribute('aria-label', 'Filter posts by category');
+            
+            filters.forEach(({ filter, label, count }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'filter-btn';
+                button.dataset.filter = filter;
+                button.setAttribute('aria-pressed', filter === 'all' ? 'true' : 'false');
+                if (filter === 'all') button.classList.add('active');
+                
+                const countBadge = document.createElement('span');
+                countBadge.className = 'filter-count';
+                countBadge.textContent = count;
+                
+                button.append(label, ' ', countBadge);
+                filterBar.appendChild(button);
+            });
+            
+            postList.parentNode.insertBefore(filterBar, postList);
+        }
+        
+        getFilterFromUrl() {
+            const requested = new URLSearchParams(window.location.search).get('category');
+            if (!requested) return 'all';
+            
+            const match = Array.from(this.filterButtons).find(btn =>
+                btn.dataset.filter.toLowerCase() === requested.toLowerCase()
+            );
+            return match ? match.dataset.filter : 'all';
+        }
+        
+        restoreFilterFromUrl() {
+            const filter = this.getFilterFromUrl();
+            if (filter !== 'all') {
+                this.filterPhotos(filter, { updateUrl: false, animate: false });
+            }
+        }
+        
+        filterPhotos(filter, options = {}) {
+            const { updateUrl = true } = options;
+            // With reduced motion, posts are shown and hidden at once
+            const animate = options.animate !== false && !prefersReducedMotion();
+            this.currentFilter = filter;
+            
+            this.filterItems.forEach(item => {
+                const category = item.dataset.category;
+                const shouldShow = filter === 'all' || category === filter;
+                const isPost = item.classList.contains('blog-post');
+                
+                clearTimeout(this.hideTimers.get(item));
+                
+                if (shouldShow) {
+                    const wasHidden = item.classList.contains('hidden');
+                    item.classList.remove('hidden');
+                    item.hidden = false;
+                    
+                    if (wasHidden && animate) {
+                        item.style.animation = 'fadeInUp 0.5s ease forwards';
+                        if (isPost) {
+                            // Hand the post back to its hover transitions once visible
+                            item.addEventListener('animationend', () => {
+                                item.style.animation = '';
+                            }, { once: true });
+                        }
+                    }
+                } else {
+                    item.classList.add('hidden');
+                    
+                    if (isPost) {
+                        // Posts leave the layout once they have faded out
+                        if (animate) {
+                            item.style.animation = 'fadeOutDown 0.3s ease forwards';
+                            this.hideTimers.set(item, setTimeout(() => {
+                                item.hidden = true;
+                            }, 300));
+                        } else {
+                            item.hidden = true;
+                        }
+                    } else if (animate) {
+                        item.style.animation = 'fadeOutDown 0.3s ease forwards';
+                    }
+                }
+            });
+            
+            const activeBtn = Array.from(this.filterButtons).find(btn => btn.dataset.filter === filter);
+            if (activeBtn) {
+                this.updateActiveButton(activeBtn);
+            }
+            ShutterThoughts.emit('posts:filter', { filter });
+            
+            if (updateUrl) {
+                const url = new URL(window.location.href);
+                if (filter === 'all') {
+                    url.searchParams.delete('category');
+                } else {
+                    url.searchParams.set('category', filter);
+                }
+                history.pushState({ category: filter }, '', url);
+            }
+        }
+        
+        updateActiveButton(activeBtn) {
+            this.filterButtons.forEach(btn => {
+                btn.classList.remove('active');
+                btn.setAttribute('aria-pressed', 'false');
+            });
+            activeBtn.classList.add('active');
+            activeBtn.setAttribute('aria-pressed', 'true');
+        }
+        
+        setupPhotoUploads() {
+            const photoPlaceholders = document.querySelectorAll('.photo-placeholder');
             
             photoPlaceholders.forEach(placeholder => {
                 placeholder.addEventListener('click', (e) => {
@@ -198,223 +1255,3938 @@
                 const loadingManager = new LoadingManager();
                 loadingManager.show();
                 
-                // Process image
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    this.displayUploadedPhoto(placeholder, e.target.result);
-                    loadingManager.hide();
-                };
-                
-                reader.onerror = () => {
-                    this.showError('Failed to read file. Please try again.');
+                // Same processing as real uploads, so the preview matches what would be saved
+                try {
+                    const prepared = await prepareImageForUpload(file, { stripGps: true });
+                    this.displayUploadedPhoto(placeholder, URL.createObjectURL(prepared));
+                } finally {
                     loadingManager.hide();
-                };
-                
-                reader.readAsDataURL(file);
+                }
                 
             } catch (error) {
                 this.showError(error.message);
             }
         }
         
-        displayUploadedPhoto(placeholder, imageSrc) {
-            placeholder.style.backgroundImage = `url(${imageSrc})`;
-            placeholder.style.backgroundSize = 'cover';
-            placeholder.style.backgroundPosition = 'center';
-            placeholder.innerHTML = '';
-            placeholder.style.color = 'transparent';
+        displayUploadedPhoto(placeholder, imageSrc) {
+            placeholder.style.backgroundImage = `url(${imageSrc})`;
+            placeholder.style.backgroundSize = 'cover';
+            placeholder.style.backgroundPosition = 'center';
+            placeholder.innerHTML = '';
+            placeholder.style.color = 'transparent';
+            
+            // Add success animation
+            if (!prefersReducedMotion()) {
+                placeholder.style.animation = 'pulse 0.6s ease';
+                setTimeout(() => {
+                    placeholder.style.animation = '';
+                }, 600);
+            }
+        }
+        
+        setupPhotoActions() {
+            const likeButtons = document.querySelectorAll('.photo-action-btn[aria-label*="Like"]');
+            const viewButtons = document.querySelectorAll('.photo-action-btn[aria-label*="View"]');
+            
+            likeButtons.forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.handleLike(btn);
+                });
+            });
+            
+            viewButtons.forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.handleView(btn);
+                });
+            });
+            
+            if (this.photoItems.length) {
+                this.loadPhotoLikes();
+            }
+        }
+        
+        async loadPhotoLikes() {
+            const store = getLikeStore();
+            const items = Array.from(this.photoItems);
+            const ids = items.map(item => item.dataset.photoId || item.querySelector('h3').textContent);
+            
+            try {
+                const counts = await store.getCounts(ids);
+                items.forEach((item, i) => {
+                    item.querySelector('.photo-likes').textContent = `${counts[ids[i]] || 0} likes`;
+                    const likeButton = item.querySelector('.photo-action-btn[aria-label*="Like"]');
+                    if (likeButton) likeButton.setAttribute('aria-pressed', String(store.isLiked(ids[i])));
+                });
+            } catch (error) {
+                console.error('Error loading likes:', error);
+            }
+        }
+        
+        // Legacy photo grid: same store as the post photos, keyed by data-photo-id (or the title)
+        async handleLike(button) {
+            const photoItem = button.closest('.photo-item');
+            const likesElement = photoItem.querySelector('.photo-likes');
+            const photoId = photoItem.dataset.photoId || photoItem.querySelector('h3').textContent;
+            if (getLikeStore().isSaving(photoId)) return;
+            
+            // Add like animation
+            if (!prefersReducedMotion()) {
+                button.style.animation = 'heartBeat 0.6s ease';
+                setTimeout(() => {
+                    button.style.animation = '';
+                }, 600);
+            }
+            
+            try {
+                const { liked, count } = await getLikeStore().toggle(photoId);
+                likesElement.textContent = `${count} likes`;
+                button.setAttribute('aria-pressed', String(liked));
+            } catch (error) {
+                this.showError('Your like could not be saved. Please try again.');
+            }
+        }
+        
+        handleView(button) {
+            const photoItem = button.closest('.photo-item');
+            const photoContainer = photoItem.querySelector('.photo-container');
+            const backgroundImage = photoContainer.style.backgroundImage;
+            
+            if (backgroundImage && backgroundImage !== 'none') {
+                // Create modal for full-size view (strip the CSS url() wrapper)
+                const imageSrc = backgroundImage.replace(/^url\(["']?/, '').replace(/["']?\)$/, '');
+                this.createPhotoModal(imageSrc, { returnFocus: button });
+            } else {
+                this.showError('No photo to view. Please upload a photo first.');
+            }
+        }
+        
+        // Lightbox for the images and clips inside each blog post
+        setupPostLightbox() {
+            const posts = document.querySelectorAll('.blog-post');
+            
+            posts.forEach(post => {
+                const media = Array.from(post.querySelectorAll(POST_MEDIA_SELECTOR));
+                
+                media.forEach((item, index) => {
+                    if (item.tagName === 'VIDEO') {
+                        this.addVideoExpandButton(item, (button) => this.openLightbox(media, index, button));
+                        return;
+                    }
+                    
+                    item.classList.add('lightbox-trigger');
+                    item.setAttribute('tabindex', '0');
+                    item.setAttribute('role', 'button');
+                    item.setAttribute('aria-label', `View full size: ${item.alt || 'photo'}`);
+                    
+                    item.addEventListener('click', () => this.openLightbox(media, index));
+                    
+                    // Keyboard accessibility
+                    item.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            this.openLightbox(media, index);
+                        }
+                    });
+                });
+            });
+        }
+        
+        // Clips keep their own controls; a button in the corner opens them in the photo viewer
+        addVideoExpandButton(video, open) {
+            const frame = document.createElement('div');
+            frame.className = 'video-frame';
+            video.before(frame);
+            frame.appendChild(video);
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'video-expand';
+            button.setAttribute('aria-label', 'Open video full size');
+            button.innerHTML = '<span aria-hidden="true">&#10530;</span>';
+            frame.appendChild(button);
+            
+            button.addEventListener('click', () => {
+                video.pause();
+                open(button);
+            });
+        }
+        
+        openLightbox(media, index, returnFocus = media[index]) {
+            const gallery = media.map(element => {
+                if (element.tagName === 'VIDEO') {
+                    const source = element.querySelector('source');
+                    return {
+                        type: 'video',
+                        src: element.currentSrc || element.getAttribute('src') || (source && source.getAttribute('src')),
+                        poster: element.poster,
+                        alt: ''
+                    };
+                }
+                const pair = element.closest('[data-original]');
+                return {
+                    type: 'image',
+                    src: element.getAttribute('src'),
+                    alt: element.getAttribute('alt') || '',
+                    original: pair ? pair.dataset.original : null,
+                    edits: pair ? pair.dataset.edits : ''
+                };
+            });
+            
+            // Keep the address bar on a link to the photo being viewed, and put it back afterwards
+            const post = media[index].closest('.blog-post');
+            const slug = post && /^[a-z0-9-]+$/.test(post.dataset.postId || '') ? post.dataset.postId : null;
+            const previousUrl = window.location.href;
+            const cameFromRoute = Boolean(parsePostRoute(window.location.hash));
+            
+            this.createPhotoModal(gallery[index].src, {
+                gallery,
+                index,
+                returnFocus,
+                onChange: slug ? (i) => {
+                    history.replaceState(history.state, '', `#/post/${slug}/photo/${i + 1}`);
+                } : null,
+                onClose: slug ? () => {
+                    history.replaceState(history.state, '', cameFromRoute ? `#/post/${slug}` : previousUrl);
+                } : null
+            });
+        }
+        
+        createPhotoModal(imageSrc, options = {}) {
+            const gallery = options.gallery && options.gallery.length
+                ? options.gallery
+                : [{ src: imageSrc, alt: options.alt || '' }];
+            const returnFocus = options.returnFocus || document.activeElement;
+            const hasNavigation = gallery.length > 1;
+            let currentIndex = Math.min(Math.max(options.index || 0, 0), gallery.length - 1);
+            
+            const modal = document.createElement('div');
+            modal.className = 'photo-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-modal', 'true');
+            modal.setAttribute('aria-label', 'Photo viewer');
+            modal.innerHTML = `
+                <div class="modal-backdrop">
+                    <div class="modal-content">
+                        <button class="modal-close" aria-label="Close modal">&times;</button>
+                        <figure class="modal-figure">
+                            <img class="modal-image" alt="">
+                            <video class="modal-video" controls playsinline hidden></video>
+                            <figcaption class="modal-caption"></figcaption>
+                        </figure>
+                        ${hasNavigation ? `
+                        <button class="modal-nav modal-prev" aria-label="Previous photo">&#8249;</button>
+                        <button class="modal-nav modal-next" aria-label="Next photo">&#8250;</button>
+                        <p class="modal-counter" aria-live="polite"></p>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+            
+            document.body.appendChild(modal);
+            document.body.style.overflow = 'hidden';
+            
+            const closeBtn = modal.querySelector('.modal-close');
+            const backdrop = modal.querySelector('.modal-backdrop');
+            const content = modal.querySelector('.modal-content');
+            const image = modal.querySelector('.modal-image');
+            const video = modal.querySelector('.modal-video');
+            const caption = modal.querySelector('.modal-caption');
+            const counter = modal.querySelector('.modal-counter');
+            let comparison = null;
+            
+            const showImage = (index) => {
+                currentIndex = (index + gallery.length) % gallery.length;
+                const photo = gallery[currentIndex];
+                const isVideo = photo.type === 'video';
+                
+                if (comparison) {
+                    comparison.destroy();
+                    comparison = null;
+                }
+                
+                // Only one clip plays at a time, and only the one on screen
+                video.pause();
+                image.hidden = isVideo;
+                video.hidden = !isVideo;
+                
+                if (isVideo) {
+                    image.removeAttribute('src');
+                    video.poster = photo.poster || '';
+                    video.src = photo.src;
+                    video.play().catch(() => {});
+                } else {
+                    video.removeAttribute('src');
+                    image.src = photo.src;
+                    image.alt = photo.alt || 'Full size photo';
+                    
+                    // Edited photos open with their original to compare against, as in the post
+                    if (photo.original) {
+                        comparison = new ComparisonSlider(image, {
+                            original: photo.original,
+                            edits: photo.edits,
+                            eager: true
+                        });
+                    }
+                }
+                caption.textContent = photo.alt;
+                caption.hidden = !photo.alt;
+                
+                if (counter) {
+                    counter.textContent = `${currentIndex + 1} / ${gallery.length}`;
+                }
+                
+                if (options.onChange) {
+                    options.onChange(currentIndex);
+                }
+                
+                // Preload the neighbours so stepping through feels instant
+                if (hasNavigation) {
+                    [currentIndex - 1, currentIndex + 1].forEach(i => {
+                        const neighbour = gallery[(i + gallery.length) % gallery.length];
+                        if (neighbour.type !== 'video') {
+                            new Image().src = neighbour.src;
+                        }
+                    });
+                }
+            };
+            
+            const showPrevious = () => showImage(currentIndex - 1);
+            const showNext = () => showImage(currentIndex + 1);
+            
+            let isClosing = false;
+            const closeModal = () => {
+                if (isClosing) return;
+                isClosing = true;
+                video.pause();
+                
+                if (options.onClose) {
+                    options.onClose();
+                }
+                ShutterThoughts.emit('modal:close', { modal });
+                
+                const reduceMotion = prefersReducedMotion();
+                if (!reduceMotion) {
+                    modal.style.animation = 'fadeOut 0.3s ease forwards';
+                }
+                setTimeout(() => {
+                    document.body.removeChild(modal);
+                    document.body.style.overflow = '';
+                    
+                    if (returnFocus && typeof returnFocus.focus === 'function') {
+                        returnFocus.focus();
+                    }
+                }, reduceMotion ? 0 : 300);
+            };
+            
+            // Close modal functionality
+            closeBtn.addEventListener('click', closeModal);
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) {
+                    closeModal();
+                }
+            });
+            
+            if (hasNavigation) {
+                modal.querySelector('.modal-prev').addEventListener('click', showPrevious);
+                modal.querySelector('.modal-next').addEventListener('click', showNext);
+            }
+            
+            // Keyboard accessibility: navigation, closing and focus trap
+            // (arrow keys on a focused clip seek it instead)
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    closeModal();
+                } else if (e.key === 'ArrowLeft' && hasNavigation && e.target !== video) {
+                    showPrevious();
+                } else if (e.key === 'ArrowRight' && hasNavigation && e.target !== video) {
+                    showNext();
+                } else if (e.key === 'Tab') {
+                    const focusable = Array.from(modal.querySelectorAll('button, .compare-handle, .modal-video:not([hidden])'));
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            });
+            
+            // Touch swipe navigation
+            let touchStartX = 0;
+            let touchStartY = 0;
+            
+            content.addEventListener('touchstart', (e) => {
+                touchStartX = e.changedTouches[0].clientX;
+                touchStartY = e.changedTouches[0].clientY;
+            }, { passive: true });
+            
+            content.addEventListener('touchend', (e) => {
+                if (!hasNavigation) return;
+                
+                const deltaX = e.changedTouches[0].clientX - touchStartX;
+                const deltaY = e.changedTouches[0].clientY - touchStartY;
+                
+                if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY)) {
+                    if (deltaX > 0) {
+                        showPrevious();
+                    } else {
+                        showNext();
+                    }
+                }
+            });
+            
+            showImage(currentIndex);
+            closeBtn.focus();
+            ShutterThoughts.emit('modal:open', { modal, items: gallery, index: currentIndex });
+        }
+        
+        showError(message) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'error-message';
+            errorDiv.textContent = message;
+            
+            // The region is in the page from the start, so screen readers announce what is added to it
+            getToastRegion().appendChild(errorDiv);
+            
+            const reduceMotion = prefersReducedMotion();
+            if (!reduceMotion) {
+                errorDiv.style.animation = 'slideInRight 0.3s ease';
+            }
+            
+            setTimeout(() => {
+                if (reduceMotion) {
+                    errorDiv.remove();
+                    return;
+                }
+                errorDiv.style.animation = 'slideOutRight 0.3s ease forwards';
+                setTimeout(() => {
+                    errorDiv.remove();
+                }, 300);
+            }, 3000);
+        }
+    }
+    
+    // Photo Color Management
+    // Built pages give each photo its dominant color (--photo-color, measured by tools/images.js), which
+    // shows in the photo's place until it loads and then resolves into the picture. Photos the build
+    // hasn't measured get their color read from a canvas once loaded, remembered for the next visit.
+    const PHOTO_COLOR_SELECTOR = '.blog-image img, .blog-image-half img, .color-photo img';
+    const PHOTO_COLOR_CACHE_LIMIT = 200;
+    
+    class PhotoColorManager {
+        constructor() {
+            this.images = document.querySelectorAll(PHOTO_COLOR_SELECTOR);
+            this.cache = this.loadCache();
+            this.init();
+        }
+        
+        init() {
+            this.images.forEach(img => {
+                const photoId = getPhotoId(img);
+                if (!img.style.getPropertyValue('--photo-color') && this.cache[photoId]) {
+                    img.style.setProperty('--photo-color', this.cache[photoId]);
+                }
+                
+                if (img.complete && img.naturalWidth) {
+                    this.remember(img, photoId);
+                    return;
+                }
+                
+                img.addEventListener('load', () => {
+                    // Decoding first keeps the reveal from starting on a half-painted photo
+                    const decoded = img.decode ? img.decode().catch(() => {}) : Promise.resolve();
+                    decoded.then(() => {
+                        // Photos without a placeholder fade in through PerformanceManager's lazy class
+                        if (img.style.getPropertyValue('--photo-color')) {
+                            img.classList.add('photo-revealed');
+                        }
+                        this.remember(img, photoId);
+                    });
+                }, { once: true });
+            });
+        }
+        
+        loadCache() {
+            try {
+                return JSON.parse(localStorage.getItem('photoColors') || '{}');
+            } catch (error) {
+                return {};
+            }
+        }
+        
+        remember(img, photoId) {
+            if (img.style.getPropertyValue('--photo-color') || this.cache[photoId]) return;
+            
+            const color = this.measure(img);
+            if (!color) return;
+            
+            const ids = Object.keys(this.cache);
+            ids.slice(0, Math.max(0, ids.length - PHOTO_COLOR_CACHE_LIMIT + 1)).forEach(id => delete this.cache[id]);
+            this.cache[photoId] = color;
+            try {
+                localStorage.setItem('photoColors', JSON.stringify(this.cache));
+            } catch (error) {
+                // Storage full or disabled: the placeholder just stays plain next time
+            }
+        }
+        
+        // Most common color on a small copy of the photo, bucketed like tools/lib/colors.js
+        measure(img) {
+            const size = 32;
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const context = canvas.getContext('2d');
+            if (!context) return null;
+            
+            let data;
+            try {
+                context.drawImage(img, 0, 0, size, size);
+                data = context.getImageData(0, 0, size, size).data;
+            } catch (error) {
+                // Photos from other origins can't be read back
+                return null;
+            }
+            
+            const buckets = new Map();
+            for (let i = 0; i < data.length; i += 4) {
+                const key = ((data[i] >> 5) << 6) | ((data[i + 1] >> 5) << 3) | (data[i + 2] >> 5);
+                const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+                bucket.count++;
+                bucket.sum[0] += data[i];
+                bucket.sum[1] += data[i + 1];
+                bucket.sum[2] += data[i + 2];
+                buckets.set(key, bucket);
+            }
+            
+            let top = null;
+            buckets.forEach(bucket => {
+                if (!top || bucket.count > top.count) top = bucket;
+            });
+            if (!top) return null;
+            
+            return '#' + top.sum.map(total => Math.round(total / top.count).toString(16).padStart(2, '0')).join('');
+        }
+    }
+    
+    // Video Management
+    // Post clips are built with preload="none", so nothing downloads up front. Near the viewport a
+    // poster frame is captured (unless the markup has one), and clips preview muted and looped on
+    // hover, or while in view on touch screens, until the reader plays one for real.
+    class VideoManager {
+        constructor() {
+            this.videos = Array.from(document.querySelectorAll('.blog-post video'));
+            this.canHover = window.matchMedia ? window.matchMedia('(hover: hover)').matches : true;
+            this.saveData = Boolean(navigator.connection && navigator.connection.saveData);
+            this.previewing = new Set();
+            this.engaged = new Set();
+            this.init();
+        }
+        
+        init() {
+            if (this.videos.length === 0) return;
+            
+            this.videos.forEach(video => this.prepare(video));
+            this.observeVideos();
+        }
+        
+        prepare(video) {
+            video.classList.add('blog-video');
+            video.preload = 'none';
+            video.playsInline = true;
+            
+            // Playing that wasn't started by a preview means the reader took over this clip
+            video.addEventListener('play', () => {
+                if (!this.previewing.has(video)) {
+                    this.engaged.add(video);
+                }
+            });
+            
+            // Previews hide the controls, so a click on one starts the clip properly
+            video.addEventListener('click', (e) => {
+                if (this.previewing.has(video)) {
+                    e.preventDefault();
+                    this.engage(video);
+                }
+            });
+            
+            const frame = video.closest('.video-frame') || video;
+            frame.addEventListener('focusin', () => this.stopPreview(video));
+            
+            if (this.canHover) {
+                video.addEventListener('mouseenter', () => this.startPreview(video));
+                video.addEventListener('mouseleave', () => this.stopPreview(video));
+            }
+        }
+        
+        observeVideos() {
+            if (!('IntersectionObserver' in window)) {
+                this.videos.forEach(video => this.capturePoster(video));
+                return;
+            }
+            
+            const nearObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        nearObserver.unobserve(entry.target);
+                        this.capturePoster(entry.target);
+                    }
+                });
+            }, { rootMargin: '300px 0px' });
+            this.videos.forEach(video => nearObserver.observe(video));
+            
+            if (!this.canHover) {
+                const viewObserver = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            this.startPreview(entry.target);
+                        } else {
+                            this.stopPreview(entry.target);
+                        }
+                    });
+                }, { threshold: 0.75 });
+                this.videos.forEach(video => viewObserver.observe(video));
+            }
+        }
+        
+        getSource(video) {
+            const source = video.querySelector('source');
+            return video.currentSrc || video.src || (source && source.src) || '';
+        }
+        
+        // A throwaway muted copy seeks just past the (often black) first frame and draws it to a canvas,
+        // leaving the clip itself untouched until it plays
+        capturePoster(video) {
+            const src = this.getSource(video);
+            if (video.poster || !src) return;
+            
+            const probe = document.createElement('video');
+            probe.muted = true;
+            probe.preload = 'metadata';
+            probe.crossOrigin = 'anonymous';
+            
+            const cleanUp = () => {
+                probe.removeAttribute('src');
+                probe.load();
+            };
+            
+            probe.addEventListener('loadedmetadata', () => {
+                probe.currentTime = Math.min(0.5, (probe.duration || 0) / 2);
+            }, { once: true });
+            
+            probe.addEventListener('seeked', () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = probe.videoWidth;
+                canvas.height = probe.videoHeight;
+                
+                try {
+                    canvas.getContext('2d').drawImage(probe, 0, 0);
+                    canvas.toBlob(blob => {
+                        if (blob && !video.poster) {
+                            video.poster = URL.createObjectURL(blob);
+                        }
+                    }, 'image/jpeg', 0.8);
+                } catch (error) {
+                    // Clips from another origin can't be read back; they keep the browser's default
+                }
+                cleanUp();
+            }, { once: true });
+            
+            probe.addEventListener('error', cleanUp, { once: true });
+            probe.src = src;
+        }
+        
+        startPreview(video) {
+            if (this.engaged.has(video) || this.previewing.has(video) || !video.paused) return;
+            if (prefersReducedMotion() || this.saveData) return;
+            
+            this.previewing.add(video);
+            video.muted = true;
+            video.loop = true;
+            video.controls = false;
+            video.play().catch(() => this.stopPreview(video));
+        }
+        
+        stopPreview(video) {
+            if (!this.previewing.has(video)) return;
+            
+            video.pause();
+            video.currentTime = 0;
+            video.muted = false;
+            video.loop = false;
+            video.controls = true;
+            this.previewing.delete(video);
+        }
+        
+        engage(video) {
+            this.stopPreview(video);
+            video.play().catch(() => {});
+        }
+    }
+    
+    // Before/After Comparison Management
+    // A photo followed by a !before line (see tools/lib/markdown.js) carries its unedited original in
+    // data-original and the edits made in data-edits. The two share one frame, split by a divider that
+    // drags with a mouse or finger or moves with the arrow keys, and a button flips between them outright.
+    // The original is a background rather than an <img>, so it isn't counted among the post's photos.
+    const COMPARE_SELECTOR = '.blog-post [data-original]';
+    const COMPARE_KEY_STEP = 5;
+    
+    class ComparisonSlider {
+        constructor(image, options = {}) {
+            this.image = image;
+            this.original = new URL(options.original, window.location.href).href;
+            this.edits = options.edits || '';
+            this.eager = Boolean(options.eager);
+            this.position = 50;
+            this.init();
+        }
+        
+        init() {
+            this.render();
+            this.bindEvents();
+            this.setPosition(this.position);
+            this.loadOriginal();
+        }
+        
+        render() {
+            const media = this.image.closest('picture') || this.image;
+            const layout = ['full', 'center', 'half'].find(name => this.image.classList.contains(`blog-img-${name}`));
+            const alt = this.image.getAttribute('alt') || 'photo';
+            
+            this.element = document.createElement('div');
+            this.element.className = layout ? `compare compare-${layout}` : 'compare';
+            media.before(this.element);
+            this.element.appendChild(media);
+            
+            this.element.insertAdjacentHTML('beforeend', `
+                <div class="compare-before" role="img"></div>
+                <span class="compare-label compare-label-before" aria-hidden="true">Original</span>
+                <span class="compare-label compare-label-after" aria-hidden="true">Edited</span>
+                <div class="compare-handle" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100"></div>
+            `);
+            this.before = this.element.querySelector('.compare-before');
+            this.handle = this.element.querySelector('.compare-handle');
+            this.before.setAttribute('aria-label', `Original, before editing: ${alt}`);
+            this.handle.setAttribute('aria-label', `Compare original and edited: ${alt}`);
+            
+            this.controls = document.createElement('div');
+            this.controls.className = 'compare-bar';
+            this.controls.innerHTML = '<button type="button" class="compare-toggle" aria-pressed="false">Show original</button>';
+            if (this.edits) {
+                const edits = document.createElement('p');
+                edits.className = 'compare-edits';
+                edits.textContent = `Edits: ${this.edits}`;
+                this.controls.appendChild(edits);
+            }
+            this.toggleButton = this.controls.querySelector('.compare-toggle');
+            this.element.after(this.controls);
+        }
+        
+        bindEvents() {
+            this.handle.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.handle.setPointerCapture(e.pointerId);
+                this.handle.focus();
+                this.dragging = true;
+            });
+            this.handle.addEventListener('pointermove', (e) => {
+                if (!this.dragging) return;
+                const rect = this.element.getBoundingClientRect();
+                this.setPosition((e.clientX - rect.left) / rect.width * 100);
+            });
+            ['pointerup', 'pointercancel'].forEach(type => this.handle.addEventListener(type, () => {
+                this.dragging = false;
+            }));
+            
+            // Dragging the divider is not a swipe to the next photo in the viewer
+            this.handle.addEventListener('touchend', (e) => e.stopPropagation());
+            
+            this.handle.addEventListener('keydown', (e) => {
+                const steps = {
+                    ArrowLeft: -COMPARE_KEY_STEP,
+                    ArrowDown: -COMPARE_KEY_STEP,
+                    ArrowRight: COMPARE_KEY_STEP,
+                    ArrowUp: COMPARE_KEY_STEP,
+                    PageDown: -COMPARE_KEY_STEP * 4,
+                    PageUp: COMPARE_KEY_STEP * 4
+                };
+                
+                if (e.key in steps) {
+                    this.setPosition(this.position + steps[e.key]);
+                } else if (e.key === 'Home') {
+                    this.setPosition(0);
+                } else if (e.key === 'End') {
+                    this.setPosition(100);
+                } else {
+                    return;
+                }
+                // Keep the arrows from also stepping through the photo viewer
+                e.preventDefault();
+                e.stopPropagation();
+            });
+            
+            this.toggleButton.addEventListener('click', () => {
+                this.setPosition(this.position === 100 ? 0 : 100);
+            });
+        }
+        
+        // Percentage of the frame, from the left, given to the original
+        setPosition(value) {
+            this.position = Math.round(Math.min(Math.max(value, 0), 100));
+            this.element.style.setProperty('--compare-position', `${this.position}%`);
+            this.handle.setAttribute('aria-valuenow', String(this.position));
+            this.handle.setAttribute('aria-valuetext', this.position === 100
+                ? 'Original only'
+                : this.position === 0 ? 'Edited only' : `${this.position}% original`);
+            
+            const showingOriginal = this.position === 100;
+            this.toggleButton.setAttribute('aria-pressed', String(showingOriginal));
+            this.toggleButton.textContent = showingOriginal ? 'Show edited' : 'Show original';
+        }
+        
+        // Originals are full-size files, so wait until the photo is nearly on screen
+        loadOriginal() {
+            const load = () => {
+                this.before.style.backgroundImage = `url("${this.original}")`;
+            };
+            
+            if (this.eager || !('IntersectionObserver' in window)) {
+                load();
+                return;
+            }
+            
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    observer.disconnect();
+                    load();
+                }
+            }, { rootMargin: '200px 0px' });
+            observer.observe(this.element);
+        }
+        
+        // Put the photo back as it was (the viewer reuses its image for the next photo)
+        destroy() {
+            this.element.before(this.image.closest('picture') || this.image);
+            this.element.remove();
+            this.controls.remove();
+        }
+    }
+    
+    class CompareManager {
+        constructor() {
+            this.pairs = document.querySelectorAll(COMPARE_SELECTOR);
+            this.sliders = [];
+            this.init();
+        }
+        
+        init() {
+            this.pairs.forEach(pair => {
+                const image = pair.querySelector('img');
+                if (!image) return;
+                
+                this.sliders.push(new ComparisonSlider(image, {
+                    original: pair.dataset.original,
+                    edits: pair.dataset.edits
+                }));
+            });
+        }
+    }
+    
+    // Slideshow Management
+    // A full-screen presentation of a post's photos and clips, or of every post in a category.
+    // Settings (seconds per photo and transition) are remembered in localStorage.
+    const SLIDESHOW_INTERVALS = [3, 5, 8, 12];
+    const SLIDESHOW_TRANSITIONS = [
+        { id: 'crossfade', label: 'Crossfade' },
+        { id: 'ken-burns', label: 'Ken Burns' }
+    ];
+    const SLIDESHOW_FADE_DURATION = 1000;
+    
+    function loadSlideshowSettings() {
+        const defaults = { interval: 5, transition: 'crossfade' };
+        try {
+            const saved = JSON.parse(localStorage.getItem('slideshowSettings') || '{}');
+            return {
+                interval: SLIDESHOW_INTERVALS.includes(saved.interval) ? saved.interval : defaults.interval,
+                transition: SLIDESHOW_TRANSITIONS.some(t => t.id === saved.transition) ? saved.transition : defaults.transition
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+    
+    // Photos and clips of a post in reading order; each carries the paragraph written before it as its caption
+    function collectSlides(post) {
+        const heading = post.querySelector('h2');
+        const title = heading ? heading.textContent.trim() : '';
+        const slides = [];
+        let text = '';
+        
+        post.querySelectorAll('p, img, video').forEach(element => {
+            if (element.tagName === 'P') {
+                if (element.parentElement === post) {
+                    text = element.textContent.trim();
+                }
+                return;
+            }
+            
+            const figure = element.closest('.blog-image, .blog-image-half');
+            if (element.tagName === 'IMG') {
+                if (!figure) return;
+                const captionElement = figure.querySelector('.image-caption');
+                slides.push({
+                    type: 'image',
+                    src: element.src,
+                    alt: element.alt,
+                    caption: captionElement ? captionElement.textContent.trim() : '',
+                    title,
+                    text
+                });
+            } else {
+                const source = element.querySelector('source');
+                const src = element.currentSrc || element.src || (source && source.src);
+                if (!src) return;
+                slides.push({ type: 'video', src, alt: '', caption: '', title, text });
+            }
+        });
+        
+        return slides;
+    }
+    
+    class Slideshow {
+        constructor(slides, options = {}) {
+            this.slides = slides;
+            this.title = options.title || 'Slideshow';
+            this.returnFocus = options.returnFocus || document.activeElement;
+            this.settings = loadSlideshowSettings();
+            this.index = -1;
+            this.elapsed = 0;
+            this.ready = false;
+            this.paused = false;
+            this.hovering = false;
+            this.showToken = 0;
+            this.preloaded = new Map();
+            this.leaveTimers = new Map();
+            this.init();
+        }
+        
+        init() {
+            this.render();
+            this.bindEvents();
+            
+            document.body.appendChild(this.element);
+            document.body.style.overflow = 'hidden';
+            
+            if (this.element.requestFullscreen) {
+                this.element.requestFullscreen().catch(() => {
+                    // Not allowed here (e.g. in an iframe); the fixed overlay still fills the window
+                });
+            }
+            
+            this.show(0);
+            this.playButton.focus();
+            
+            this.lastTick = performance.now();
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+        
+        render() {
+            this.element = document.createElement('div');
+            this.element.className = 'slideshow';
+            this.element.setAttribute('role', 'dialog');
+            this.element.setAttribute('aria-modal', 'true');
+            this.element.setAttribute('aria-label', `Slideshow: ${this.title}`);
+            this.element.innerHTML = `
+                <div class="slideshow-stage"></div>
+                <div class="slideshow-caption" aria-live="polite">
+                    <p class="slideshow-post-title"></p>
+                    <p class="slideshow-text"></p>
+                    <p class="slideshow-media-caption"></p>
+                </div>
+                <div class="slideshow-progress" role="progressbar" aria-label="Time until the next slide" aria-valuemin="0" aria-valuemax="100">
+                    <span class="slideshow-progress-bar"></span>
+                </div>
+                <div class="slideshow-controls">
+                    <button type="button" class="slideshow-button slideshow-prev" aria-label="Previous slide">&#8249;</button>
+                    <button type="button" class="slideshow-button slideshow-play" aria-label="Pause slideshow">&#10074;&#10074;</button>
+                    <button type="button" class="slideshow-button slideshow-next" aria-label="Next slide">&#8250;</button>
+                    <span class="slideshow-counter"></span>
+                    <label class="slideshow-setting">
+                        Every
+                        <select class="slideshow-interval">
+                            ${SLIDESHOW_INTERVALS.map(seconds => `<option value="${seconds}">${seconds}s</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="slideshow-setting">
+                        Transition
+                        <select class="slideshow-transition">
+                            ${SLIDESHOW_TRANSITIONS.map(t => `<option value="${t.id}">${t.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <button type="button" class="slideshow-button slideshow-close" aria-label="Close slideshow">&times;</button>
+                </div>
+            `;
+            
+            this.stage = this.element.querySelector('.slideshow-stage');
+            this.caption = this.element.querySelector('.slideshow-caption');
+            this.progress = this.element.querySelector('.slideshow-progress');
+            this.progressBar = this.element.querySelector('.slideshow-progress-bar');
+            this.counter = this.element.querySelector('.slideshow-counter');
+            this.playButton = this.element.querySelector('.slideshow-play');
+            this.intervalSelect = this.element.querySelector('.slideshow-interval');
+            this.transitionSelect = this.element.querySelector('.slideshow-transition');
+            
+            this.intervalSelect.value = String(this.settings.interval);
+            this.transitionSelect.value = this.settings.transition;
+        }
+        
+        bindEvents() {
+            this.element.querySelector('.slideshow-prev').addEventListener('click', () => this.show(this.index - 1));
+            this.element.querySelector('.slideshow-next').addEventListener('click', () => this.show(this.index + 1));
+            this.element.querySelector('.slideshow-close').addEventListener('click', () => this.close());
+            this.playButton.addEventListener('click', () => this.setPaused(!this.paused));
+            
+            this.intervalSelect.addEventListener('change', () => {
+                this.settings.interval = Number(this.intervalSelect.value);
+                this.saveSettings();
+            });
+            this.transitionSelect.addEventListener('change', () => {
+                this.settings.transition = this.transitionSelect.value;
+                this.saveSettings();
+            });
+            
+            // The stage fills the screen, so hovering the caption or the controls is what holds a slide
+            [this.caption, this.element.querySelector('.slideshow-controls')].forEach(area => {
+                area.addEventListener('mouseenter', () => {
+                    this.hovering = true;
+                    this.updatePlayback();
+                });
+                area.addEventListener('mouseleave', () => {
+                    this.hovering = false;
+                    this.updatePlayback();
+                });
+            });
+            
+            this.element.addEventListener('keydown', (e) => {
+                if (e.target.tagName === 'SELECT' && e.key !== 'Escape' && e.key !== 'Tab') return;
+                
+                if (e.key === 'Escape') {
+                    this.close();
+                } else if (e.key === 'ArrowLeft') {
+                    this.show(this.index - 1);
+                } else if (e.key === 'ArrowRight') {
+                    this.show(this.index + 1);
+                } else if ((e.key === ' ' && e.target.tagName !== 'BUTTON') || e.key === 'k') {
+                    e.preventDefault();
+                    this.setPaused(!this.paused);
+                } else if (e.key === 'Tab') {
+                    const focusable = Array.from(this.element.querySelectorAll('button, select'));
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            });
+            
+            // Leaving full screen with the browser's own Escape handling ends the slideshow too
+            this.onFullscreenChange = () => {
+                if (document.fullscreenElement === this.element) {
+                    this.wasFullscreen = true;
+                } else if (this.wasFullscreen) {
+                    this.close();
+                }
+            };
+            document.addEventListener('fullscreenchange', this.onFullscreenChange);
+        }
+        
+        saveSettings() {
+            localStorage.setItem('slideshowSettings', JSON.stringify(this.settings));
+        }
+        
+        getCurrentSlide() {
+            return this.stage.querySelector('.slideshow-slide.is-active');
+        }
+        
+        isHeld() {
+            return this.paused || this.hovering;
+        }
+        
+        setPaused(paused) {
+            this.paused = paused;
+            this.playButton.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+            this.playButton.setAttribute('aria-label', paused ? 'Play slideshow' : 'Pause slideshow');
+            this.element.classList.toggle('is-paused', paused);
+            this.updatePlayback();
+        }
+        
+        // Clips play along with the slideshow and hold it while they run
+        updatePlayback() {
+            const slide = this.getCurrentSlide();
+            if (!slide || slide.tagName !== 'VIDEO') return;
+            
+            if (this.isHeld()) {
+                slide.pause();
+            } else {
+                slide.play().catch(() => {});
+            }
+        }
+        
+        normalize(index) {
+            return (index + this.slides.length) % this.slides.length;
+        }
+        
+        preload(index) {
+            const i = this.normalize(index);
+            if (!this.preloaded.has(i)) {
+                const slide = this.slides[i];
+                this.preloaded.set(i, new Promise(resolve => {
+                    if (slide.type === 'video') {
+                        const video = document.createElement('video');
+                        video.className = 'slideshow-slide';
+                        video.preload = 'auto';
+                        video.playsInline = true;
+                        video.addEventListener('loadeddata', () => resolve(video), { once: true });
+                        // A clip that won't load is shown (and skipped) rather than stalling the show
+                        video.addEventListener('error', () => resolve(video), { once: true });
+                        video.addEventListener('ended', () => {
+                            if (video === this.getCurrentSlide()) this.show(this.index + 1);
+                        });
+                        video.src = slide.src;
+                    } else {
+                        const image = new Image();
+                        image.className = 'slideshow-slide';
+                        image.alt = slide.alt;
+                        image.src = slide.src;
+                        const decoded = image.decode ? image.decode() : new Promise((done, fail) => {
+                            image.onload = done;
+                            image.onerror = fail;
+                        });
+                        decoded.then(() => resolve(image), () => resolve(image));
+                    }
+                }));
+            }
+            return this.preloaded.get(i);
+        }
+        
+        // Keep only the current slide and its neighbours in memory
+        pruneCache() {
+            const keep = [this.index - 1, this.index, this.index + 1].map(i => this.normalize(i));
+            this.preloaded.forEach((promise, i) => {
+                if (keep.includes(i)) return;
+                this.preloaded.delete(i);
+                promise.then(element => {
+                    if (element.tagName === 'VIDEO') {
+                        element.pause();
+                        element.removeAttribute('src');
+                        element.load();
+                    }
+                });
+            });
+        }
+        
+        show(index) {
+            this.index = this.normalize(index);
+            this.elapsed = 0;
+            this.ready = false;
+            this.updateProgress(0);
+            
+            const slide = this.slides[this.index];
+            const token = ++this.showToken;
+            
+            this.preload(this.index).then(element => {
+                if (token !== this.showToken || !this.element) return;
+                
+                const previous = this.getCurrentSlide();
+                if (previous && previous !== element) {
+                    this.leave(previous);
+                }
+                
+                clearTimeout(this.leaveTimers.get(element));
+                element.classList.remove('is-leaving', 'ken-burns', 'ken-burns-reverse');
+                element.style.transform = '';
+                element.style.removeProperty('--slide-duration');
+                
+                if (slide.type === 'image' && this.settings.transition === 'ken-burns' && !prefersReducedMotion()) {
+                    // Alternate the drift so consecutive photos don't move the same way
+                    element.classList.add(this.index % 2 ? 'ken-burns-reverse' : 'ken-burns');
+                    element.style.setProperty('--slide-duration', `${this.settings.interval * 1000 + SLIDESHOW_FADE_DURATION}ms`);
+                }
+                element.classList.add('is-active');
+                this.stage.appendChild(element);
+                
+                if (element.tagName === 'VIDEO') {
+                    element.currentTime = 0;
+                    if (element.error) {
+                        this.ready = true;
+                        this.show(this.index + 1);
+                        return;
+                    }
+                    this.updatePlayback();
+                }
+                
+                this.updateCaption(slide);
+                this.ready = true;
+                
+                this.preload(this.index + 1);
+                this.pruneCache();
+            });
+        }
+        
+        leave(element) {
+            // Freeze a Ken Burns drift where it is so the fade out doesn't snap it back
+            element.style.transform = getComputedStyle(element).transform;
+            element.classList.remove('is-active', 'ken-burns', 'ken-burns-reverse');
+            element.classList.add('is-leaving');
+            if (element.tagName === 'VIDEO') element.pause();
+            
+            clearTimeout(this.leaveTimers.get(element));
+            this.leaveTimers.set(element, setTimeout(() => {
+                element.remove();
+                element.classList.remove('is-leaving');
+            }, prefersReducedMotion() ? 0 : SLIDESHOW_FADE_DURATION));
+        }
+        
+        updateCaption(slide) {
+            const fields = {
+                '.slideshow-post-title': slide.title,
+                '.slideshow-text': slide.text,
+                '.slideshow-media-caption': slide.caption || slide.alt
+            };
+            Object.entries(fields).forEach(([selector, text]) => {
+                const field = this.caption.querySelector(selector);
+                field.textContent = text;
+                field.hidden = !text;
+            });
+            this.counter.textContent = `${this.index + 1} / ${this.slides.length}`;
+        }
+        
+        updateProgress(fraction) {
+            const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+            this.progressBar.style.width = `${percent}%`;
+            this.progress.setAttribute('aria-valuenow', String(percent));
+        }
+        
+        tick() {
+            const now = performance.now();
+            const delta = now - this.lastTick;
+            this.lastTick = now;
+            
+            const current = this.getCurrentSlide();
+            if (this.ready && current) {
+                if (current.tagName === 'VIDEO') {
+                    // Clips advance when they end
+                    this.updateProgress(current.duration ? current.currentTime / current.duration : 0);
+                } else if (!this.isHeld()) {
+                    this.elapsed += delta;
+                    const interval = this.settings.interval * 1000;
+                    this.updateProgress(this.elapsed / interval);
+                    if (this.elapsed >= interval) {
+                        this.show(this.index + 1);
+                    }
+                }
+            }
+            
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+        
+        close() {
+            if (!this.element) return;
+            
+            cancelAnimationFrame(this.frame);
+            this.leaveTimers.forEach(timer => clearTimeout(timer));
+            document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+            this.stage.querySelectorAll('video').forEach(video => video.pause());
+            
+            if (document.fullscreenElement === this.element) {
+                document.exitFullscreen().catch(() => {});
+            }
+            
+            this.element.remove();
+            this.element = null;
+            this.preloaded.clear();
+            document.body.style.overflow = '';
+            
+            if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+                this.returnFocus.focus();
+            }
+        }
+    }
+    
+    class SlideshowManager {
+        constructor() {
+            this.posts = Array.from(document.querySelectorAll('.blog-post'));
+            this.filterBar = document.querySelector('.gallery-controls');
+            this.init();
+        }
+        
+        init() {
+            this.posts.forEach(post => this.addPostButton(post));
+            if (this.filterBar) {
+                this.addCategoryButton();
+            }
+        }
+        
+        addPostButton(post) {
+            const meta = post.querySelector('.post-meta');
+            if (!meta || collectSlides(post).length < 2) return;
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'slideshow-btn';
+            button.innerHTML = '<span aria-hidden="true">&#9654;</span> Play slideshow';
+            meta.appendChild(button);
+            
+            button.addEventListener('click', () => {
+                // Collected on demand so photos added since the page loaded are included
+                const heading = post.querySelector('h2');
+                this.play(collectSlides(post), heading ? heading.textContent.trim() : 'Post', button);
+            });
+        }
+        
+        // One button after the category filter that plays whichever category is selected
+        addCategoryButton() {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'category-slideshow';
+            this.categoryButton = document.createElement('button');
+            this.categoryButton.type = 'button';
+            this.categoryButton.className = 'slideshow-btn';
+            wrapper.appendChild(this.categoryButton);
+            this.filterBar.after(wrapper);
+            
+            this.updateCategoryButton();
+            this.filterBar.addEventListener('click', () => this.updateCategoryButton());
+            window.addEventListener('popstate', () => this.updateCategoryButton());
+            
+            this.categoryButton.addEventListener('click', () => {
+                const category = this.getActiveCategory();
+                const posts = category === 'all'
+                    ? this.posts
+                    : this.posts.filter(post => post.dataset.category === category);
+                const slides = posts.flatMap(post => collectSlides(post));
+                this.play(slides, category === 'all' ? 'All posts' : category, this.categoryButton);
+            });
+        }
+        
+        getActiveCategory() {
+            const active = this.filterBar.querySelector('.filter-btn.active');
+            return active ? active.dataset.filter : 'all';
+        }
+        
+        updateCategoryButton() {
+            const category = this.getActiveCategory();
+            const label = category === 'all' ? 'all posts' : category;
+            this.categoryButton.innerHTML = '<span aria-hidden="true">&#9654;</span> ';
+            this.categoryButton.append(`Play slideshow of ${label}`);
+        }
+        
+        play(slides, title, returnFocus) {
+            if (slides.length === 0) return;
+            new Slideshow(slides, { title, returnFocus });
+        }
+    }
+    
+    // Pagination Management
+    // Post lists show the newest posts a page at a time (?page=2 and so on), ordered by their parsed dates;
+    // posts from the same day keep the order they were written in. Readers can opt into loading older posts
+    // as they scroll instead. That is kept in the URL too, so the back button returns to the same spot.
+    // While a category filter or a search narrows the list, every match is shown.
+    const POSTS_PER_PAGE = 5;
+    
+    class PaginationManager {
+        // config.pageSize: posts per page
+        constructor(config = {}) {
+            this.list = document.querySelector('.blog-posts');
+            this.posts = this.list ? Array.from(this.list.children).filter(el => el.classList.contains('blog-post')) : [];
+            this.pageSize = config.pageSize > 0 ? Math.floor(config.pageSize) : POSTS_PER_PAGE;
+            this.pageCount = Math.ceil(this.posts.length / this.pageSize);
+            this.infinite = localStorage.getItem('postPaging') === 'scroll';
+            this.filtered = false;
+            this.searching = false;
+            this.init();
+        }
+        
+        init() {
+            this.sortByDate();
+            if (this.pageCount < 2) return;
+            
+            this.page = this.getPageFromUrl();
+            this.createPager();
+            this.bindEvents();
+            this.render();
+        }
+        
+        // sort() is stable, so posts sharing a date stay in page order
+        sortByDate() {
+            this.posts.forEach(post => {
+                const dateElement = post.querySelector('.post-date');
+                const date = dateElement ? parsePostDate(dateElement.textContent) : null;
+                if (date) post.dataset.date = date;
+            });
+            
+            const sorted = this.posts.slice().sort((a, b) => (b.dataset.date || '').localeCompare(a.dataset.date || ''));
+            if (sorted.some((post, i) => post !== this.posts[i])) {
+                sorted.forEach(post => this.list.appendChild(post));
+                this.posts = sorted;
+            }
+        }
+        
+        getPageFromUrl() {
+            const page = parseInt(new URLSearchParams(window.location.search).get('page'), 10);
+            return Math.min(Math.max(page || 1, 1), this.pageCount);
+        }
+        
+        pageUrl(page, keepHash = false) {
+            const url = new URL(window.location.href);
+            if (page > 1) {
+                url.searchParams.set('page', page);
+            } else {
+                url.searchParams.delete('page');
+            }
+            if (!keepHash) url.hash = '';
+            return url.href;
+        }
+        
+        createPager() {
+            this.pager = document.createElement('nav');
+            this.pager.className = 'post-pager';
+            this.pager.setAttribute('aria-label', 'More posts');
+            this.pager.innerHTML = `
+                <div class="pager-links">
+                    <a class="pager-link pager-newer" rel="prev">&larr; Newer posts</a>
+                    <span class="pager-status" aria-live="polite"></span>
+                    <a class="pager-link pager-older" rel="next">Older posts &rarr;</a>
+                    <button type="button" class="pager-link pager-more">Load older posts</button>
+                </div>
+                <div class="pager-options">
+                    <label class="pager-mode"><input type="checkbox" class="pager-infinite"> Keep loading as I scroll</label>
+                    <a class="pager-archive">Browse the archive</a>
+                </div>
+            `;
+            
+            this.newer = this.pager.querySelector('.pager-newer');
+            this.older = this.pager.querySelector('.pager-older');
+            this.more = this.pager.querySelector('.pager-more');
+            this.status = this.pager.querySelector('.pager-status');
+            this.toggle = this.pager.querySelector('.pager-infinite');
+            this.toggle.checked = this.infinite;
+            this.pager.querySelector('.pager-archive').href = new URL('archive.html', SITE_ROOT).href;
+            
+            this.list.after(this.pager);
+        }
+        
+        bindEvents() {
+            this.newer.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goTo(this.page - 1);
+            });
+            this.older.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goTo(this.page + 1);
+            });
+            this.more.addEventListener('click', () => this.loadMore({ focus: true }));
+            
+            this.toggle.addEventListener('change', () => {
+                this.infinite = this.toggle.checked;
+                localStorage.setItem('postPaging', this.infinite ? 'scroll' : 'pages');
+                this.render();
+            });
+            
+            window.addEventListener('popstate', () => {
+                this.page = this.getPageFromUrl();
+                this.render();
+            });
+            
+            ShutterThoughts.on('posts:filter', ({ filter }) => {
+                this.filtered = filter !== 'all';
+                this.render();
+            });
+            ShutterThoughts.on('posts:search', ({ active }) => {
+                this.searching = active;
+                this.render();
+            });
+            
+            if ('IntersectionObserver' in window) {
+                this.observer = new IntersectionObserver((entries) => {
+                    if (entries.some(entry => entry.isIntersecting) && this.infinite && !this.filtered && !this.searching) {
+                        this.loadMore();
+                    }
+                }, { rootMargin: '600px 0px' });
+            }
+        }
+        
+        render() {
+            const suspended = this.filtered || this.searching;
+            const first = this.infinite ? 0 : (this.page - 1) * this.pageSize;
+            const last = this.page * this.pageSize;
+            const hasOlder = this.page < this.pageCount;
+            
+            this.posts.forEach((post, i) => {
+                post.classList.toggle('page-hidden', !suspended && (i < first || i >= last));
+            });
+            
+            this.pager.hidden = suspended;
+            this.newer.hidden = this.infinite || this.page === 1;
+            this.older.hidden = this.infinite || !hasOlder;
+            this.more.hidden = !this.infinite || !hasOlder;
+            this.newer.href = this.pageUrl(this.page - 1);
+            this.older.href = this.pageUrl(this.page + 1);
+            this.status.textContent = this.infinite
+                ? `Showing ${Math.min(last, this.posts.length)} of ${this.posts.length} posts`
+                : `Page ${this.page} of ${this.pageCount}`;
+            
+            // Observing afresh reports the pager's position straight away, even if it was already in range
+            if (this.observer) {
+                this.observer.unobserve(this.pager);
+                if (this.infinite && hasOlder && !suspended) {
+                    this.observer.observe(this.pager);
+                }
+            }
+        }
+        
+        goTo(page) {
+            this.page = Math.min(Math.max(page, 1), this.pageCount);
+            history.pushState({ page: this.page }, '', this.pageUrl(this.page));
+            this.render();
+            
+            // Start the new page from its first post, for keyboard and screen reader users too
+            const firstPost = this.posts[(this.page - 1) * this.pageSize];
+            firstPost.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+            firstPost.setAttribute('tabindex', '-1');
+            firstPost.focus({ preventScroll: true });
+        }
+        
+        // Infinite scroll replaces the history entry rather than adding one per batch
+        loadMore({ focus = false } = {}) {
+            if (this.page >= this.pageCount) return;
+            
+            const firstNew = this.posts[this.page * this.pageSize];
+            this.page++;
+            history.replaceState(history.state, '', this.pageUrl(this.page, true));
+            this.render();
+            
+            if (focus) {
+                firstNew.setAttribute('tabindex', '-1');
+                firstNew.focus({ preventScroll: true });
+            }
+        }
+        
+        // Switch to the page holding a post, for links and search results that point at it
+        reveal(post) {
+            const index = this.posts.indexOf(post);
+            if (index === -1 || !post.classList.contains('page-hidden')) return;
+            
+            this.page = Math.floor(index / this.pageSize) + 1;
+            history.replaceState(history.state, '', this.pageUrl(this.page, true));
+            this.render();
+        }
+    }
+    
+    // Navigation Management
+    class NavigationManager {
+        constructor() {
+            // "#/..." hrefs are post routes, handled by handleRoute() rather than scrolled to
+            this.navLinks = document.querySelectorAll('.main-nav a[href^="#"]:not([href^="#/"])');
+            this.sections = document.querySelectorAll('section[id]');
+            this.posts = document.querySelectorAll('.blog-post');
+            this.init();
+        }
+        
+        init() {
+            this.assignPostIds();
+            this.bindEvents();
+            this.setupScrollSpy();
+            this.watchPostViews();
+            this.handleRoute({ initial: true });
+        }
+        
+        // Built posts carry id="post-<slug>"; hand-written ones get one from their title
+        assignPostIds() {
+            this.posts.forEach(post => {
+                if (!post.dataset.postId) {
+                    const heading = post.querySelector('h2');
+                    const slug = (heading ? heading.textContent : '')
+                        .toLowerCase()
+                        .normalize('NFD')
+                        .replace(/[\u0300-\u036f]/g, '')
+                        .replace(/[^a-z0-9]+/g, '-')
+                        .replace(/^-|-$/g, '');
+                    if (!slug) return;
+                    post.dataset.postId = slug;
+                }
+                if (!post.id) {
+                    post.id = `post-${post.dataset.postId}`;
+                }
+            });
+        }
+        
+        bindEvents() {
+            window.addEventListener('hashchange', () => this.handleRoute());
+            
+            this.navLinks.forEach(link => {
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const targetId = link.getAttribute('href');
+                    const targetSection = document.getElementById(targetId.slice(1));
+                    
+                    if (targetSection) {
+                        targetSection.scrollIntoView({
+                            behavior: scrollBehavior(),
+                            block: 'start'
+                        });
+                        
+                        // Update active state
+                        this.updateActiveLink(link);
+                    }
+                });
+            });
+        }
+        
+        setupScrollSpy() {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const sectionId = entry.target.id;
+                        const correspondingLink = document.querySelector(`.main-nav a[href="#${sectionId}"]`);
+                        if (correspondingLink) {
+                            this.updateActiveLink(correspondingLink);
+                        }
+                    }
+                });
+            }, {
+                threshold: 0.3,
+                rootMargin: '-50px 0px -50px 0px'
+            });
+            
+            this.sections.forEach(section => {
+                observer.observe(section);
+            });
+        }
+        
+        // A post counts as viewed the first time it crosses the middle of the screen
+        watchPostViews() {
+            if (!this.posts.length || !('IntersectionObserver' in window)) return;
+            
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        ShutterThoughts.emit('post:view', { postId: entry.target.dataset.postId || null, post: entry.target });
+                    }
+                });
+            }, { rootMargin: '-40% 0px -40% 0px' });
+            
+            this.posts.forEach(post => observer.observe(post));
+        }
+        
+        updateActiveLink(activeLink) {
+            this.navLinks.forEach(link => {
+                link.classList.remove('active');
+                link.removeAttribute('aria-current');
+            });
+            
+            activeLink.classList.add('active');
+            activeLink.setAttribute('aria-current', 'page');
+        }
+        
+        handleRoute({ initial = false } = {}) {
+            const route = parsePostRoute(window.location.hash);
+            if (!route) return;
+            
+            const post = document.getElementById(`post-${route.slug}`);
+            if (!post) {
+                // Every post has its own page, so send links for posts that aren't on this one there
+                const target = new URL(getPostUrl(route.slug));
+                if (target.pathname !== window.location.pathname) {
+                    target.hash = window.location.hash;
+                    window.location.replace(target.href);
+                }
+                return;
+            }
+            
+            // Bring the post back if a category filter or a search has hidden it
+            if (post.hidden || post.classList.contains('hidden')) {
+                const showAll = document.querySelector('.filter-btn[data-filter="all"]');
+                if (showAll) showAll.click();
+            }
+            post.classList.remove('search-hidden');
+            const pagination = ShutterThoughts.get('pagination');
+            if (pagination) pagination.reveal(post);
+            
+            // Jump straight there on page load; follow links within the page smoothly
+            post.scrollIntoView({ behavior: initial ? 'auto' : scrollBehavior(), block: 'start' });
+            post.setAttribute('tabindex', '-1');
+            post.focus({ preventScroll: true });
+            
+            // Keep the scroll spy's active link in step with where the route landed
+            const section = post.closest('section[id]');
+            const sectionLink = section && Array.from(this.navLinks).find(link => link.getAttribute('href') === `#${section.id}`);
+            if (sectionLink) {
+                this.updateActiveLink(sectionLink);
+            }
+            
+            if (route.photo) {
+                this.openRoutePhoto(post, route.photo);
+            }
+        }
+        
+        // The lightbox belongs to GalleryManager; the photo's own trigger opens it
+        openRoutePhoto(post, number) {
+            const item = post.querySelectorAll(POST_MEDIA_SELECTOR)[number - 1];
+            if (!item || document.querySelector('.photo-modal')) return;
+            
+            if (item.tagName === 'VIDEO') {
+                const frame = item.closest('.video-frame');
+                const expand = frame && frame.querySelector('.video-expand');
+                if (expand) expand.click();
+            } else {
+                item.click();
+            }
+        }
+    }
+    
+    // Share Management
+    // A share button on every post and photo: the Web Share API where there is one, otherwise the
+    // link is copied. Posts share their own page; photos share a #/post/<slug>/photo/<n> link to it.
+    class ShareManager {
+        constructor() {
+            this.posts = Array.from(document.querySelectorAll('.blog-post'));
+            this.flashTimers = new Map();
+            this.init();
+        }
+        
+        init() {
+            this.posts.forEach(post => {
+                const slug = post.dataset.postId;
+                if (!slug || !/^[a-z0-9-]+$/.test(slug)) return;
+                
+                const heading = post.querySelector('h2');
+                const title = heading ? heading.textContent.trim() : 'Shutter Thoughts';
+                
+                const meta = post.querySelector('.post-meta');
+                if (meta) {
+                    const button = this.createButton(`Share post: ${title}`, 'Share');
+                    meta.appendChild(button);
+                    button.addEventListener('click', () => {
+                        this.share(button, { title, url: getPostUrl(slug) });
+                    });
+                }
+                
+                post.querySelectorAll(POST_MEDIA_SELECTOR).forEach((item, index) => {
+                    if (item.tagName !== 'IMG') return;
+                    
+                    const photoTitle = item.alt ? `${title}: ${item.alt}` : title;
+                    const button = this.createButton(`Share photo: ${item.alt || 'untitled'}`);
+                    this.placePhotoButton(item, button);
+                    button.addEventListener('click', () => {
+                        this.share(button, { title: photoTitle, url: getPostUrl(slug, index + 1) });
+                    });
+                });
+            });
+        }
+        
+        createButton(label, text = '') {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'share-btn';
+            button.setAttribute('aria-label', label);
+            button.innerHTML = `<span class="share-icon" aria-hidden="true">&#8599;</span>${text ? `<span class="share-text">${text}</span>` : ''}`;
+            return button;
+        }
+        
+        // Beside the like button when there is one, otherwise under the photo and its caption
+        placePhotoButton(img, button) {
+            const media = img.closest('picture') || img;
+            let anchor = media;
+            while (anchor.nextElementSibling && (anchor.nextElementSibling.classList.contains('image-caption')
+                || anchor.nextElementSibling.classList.contains('like-btn'))) {
+                anchor = anchor.nextElementSibling;
+            }
+            anchor.after(button);
+        }
+        
+        async share(button, { title, url }) {
+            if (navigator.share) {
+                try {
+                    await navigator.share({ title, url });
+                    return;
+                } catch (error) {
+                    // Closing the share sheet isn't a failure; anything else falls back to copying
+                    if (error.name === 'AbortError') return;
+                }
+            }
+            
+            try {
+                await navigator.clipboard.writeText(url);
+                this.flash(button, 'Link copied');
+            } catch (error) {
+                window.prompt('Copy this link:', url);
+            }
+        }
+        
+        flash(button, message) {
+            const text = button.querySelector('.share-text');
+            const original = text ? text.textContent : null;
+            
+            button.classList.add('copied');
+            if (text) text.textContent = message;
+            
+            let status = document.querySelector('.share-status');
+            if (!status) {
+                status = document.createElement('p');
+                status.className = 'share-status visually-hidden';
+                status.setAttribute('role', 'status');
+                document.body.appendChild(status);
+            }
+            status.textContent = message;
+            
+            clearTimeout(this.flashTimers.get(button));
+            this.flashTimers.set(button, setTimeout(() => {
+                button.classList.remove('copied');
+                if (text) text.textContent = original;
+                status.textContent = '';
+            }, 2000));
+        }
+    }
+    
+    // Photo Book Management
+    // "Export as photo book" on each post lays out that post, or every post in a date range, as a printable
+    // book: a cover from the first photo, then one full or centered photo or one half-width pair per page,
+    // each with its caption, alt text and date. The browser's print dialog saves it as a PDF. Clips can't
+    // be printed and are left out.
+    function parseBookPost(post, baseUrl) {
+        const heading = post.querySelector('h2');
+        const dateElement = post.querySelector('.post-date');
+        const categoryElement = post.querySelector('.post-category');
+        const resolve = img => new URL(img.getAttribute('src'), baseUrl).href;
+        const toPhoto = img => {
+            const figure = img.closest('.blog-image, .blog-image-half');
+            const caption = figure && figure.querySelector('.image-caption');
+            return { src: resolve(img), alt: img.getAttribute('alt') || '', caption: caption ? caption.textContent.trim() : '' };
+        };
+        
+        const paragraphs = [];
+        const pages = [];
+        Array.from(post.children).forEach(element => {
+            if (element.tagName === 'P') {
+                paragraphs.push(element.textContent.trim());
+            } else if (element.classList.contains('blog-image')) {
+                const img = element.querySelector('img');
+                if (img) {
+                    pages.push({ layout: img.classList.contains('blog-img-center') ? 'center' : 'full', photos: [toPhoto(img)] });
+                }
+            } else if (element.classList.contains('blog-image-grid')) {
+                const photos = Array.from(element.querySelectorAll('.blog-image-half img'), toPhoto);
+                for (let i = 0; i < photos.length; i += 2) {
+                    pages.push({ layout: 'half', photos: photos.slice(i, i + 2) });
+                }
+            }
+        });
+        
+        const displayDate = dateElement ? dateElement.textContent.trim() : '';
+        return {
+            id: post.dataset.postId || '',
+            title: heading ? heading.textContent.trim() : '',
+            displayDate,
+            date: parsePostDate(displayDate),
+            category: categoryElement ? categoryElement.textContent.trim() : '',
+            paragraphs: paragraphs.filter(Boolean),
+            pages
+        };
+    }
+    
+    class PhotoBookManager {
+        constructor() {
+            this.posts = Array.from(document.querySelectorAll('.blog-post'));
+            this.allPosts = null;
+            this.init();
+        }
+        
+        init() {
+            this.posts.forEach(post => {
+                const meta = post.querySelector('.post-meta');
+                if (!meta || !post.querySelector('.blog-image img, .blog-image-half img')) return;
+                
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'book-btn';
+                button.innerHTML = '<span class="book-icon" aria-hidden="true">&#128214;</span> Export as photo book';
+                meta.appendChild(button);
+                
+                button.addEventListener('click', () => this.openDialog(post, button));
+            });
+        }
+        
+        // Every post on the site, oldest first, for date ranges; index.html lists them all
+        async loadAllPosts() {
+            if (!this.allPosts) {
+                const indexUrl = new URL('index.html', SITE_ROOT).href;
+                const response = await fetch(indexUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+                
+                // The home page is newest first with same-day posts newest first, so reversing it
+                // gives reading order
+                this.allPosts = Array.from(page.querySelectorAll('.blog-post'), post => parseBookPost(post, indexUrl))
+                    .filter(post => post.date)
+                    .reverse();
+                this.allPosts.sort((a, b) => a.date.localeCompare(b.date));
+            }
+            return this.allPosts;
+        }
+        
+        openDialog(post, returnFocus) {
+            const current = parseBookPost(post, window.location.href);
+            
+            const dialog = document.createElement('div');
+            dialog.className = 'book-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', 'bookDialogTitle');
+            dialog.innerHTML = `
+                <form class="book-form">
+                    <h2 id="bookDialogTitle">Export as photo book</h2>
+                    <fieldset>
+                        <legend>Include</legend>
+                        <label><input type="radio" name="bookScope" value="post" checked> This post: <span class="book-post-title"></span></label>
+                        <label><input type="radio" name="bookScope" value="range"> Every post in a date range</label>
+                        <div class="book-range">
+                            <label>From <input type="date" name="from"></label>
+                            <label>To <input type="date" name="to"></label>
+                        </div>
+                    </fieldset>
+                    <p class="book-hint">Your browser's print dialog opens next. Choose "Save as PDF" to keep a copy.</p>
+                    <p class="book-status" role="status" aria-live="polite"></p>
+                    <div class="book-actions">
+                        <button type="button" class="btn btn-outline book-cancel">Cancel</button>
+                        <button type="submit" class="btn btn-primary book-print">Print photo book</button>
+                    </div>
+                </form>
+            `;
+            
+            const form = dialog.querySelector('form');
+            const status = dialog.querySelector('.book-status');
+            const from = form.elements.from;
+            const to = form.elements.to;
+            dialog.querySelector('.book-post-title').textContent = current.title;
+            from.value = current.date || '';
+            to.value = current.date || '';
+            
+            // Picking a date means the range is wanted
+            [from, to].forEach(input => input.addEventListener('focus', () => {
+                form.elements.bookScope.value = 'range';
+            }));
+            
+            this.loadAllPosts().then(posts => {
+                if (!posts.length) return;
+                [from, to].forEach(input => {
+                    input.min = posts[0].date;
+                    input.max = posts[posts.length - 1].date;
+                });
+            }).catch(() => {
+                // Without the full list only this post can be printed
+                form.querySelectorAll('input[value="range"], .book-range input').forEach(input => {
+                    input.disabled = true;
+                });
+            });
+            
+            const close = () => {
+                dialog.remove();
+                document.body.style.overflow = '';
+                if (returnFocus) returnFocus.focus();
+            };
+            
+            dialog.querySelector('.book-cancel').addEventListener('click', close);
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) close();
+            });
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    close();
+                } else if (e.key === 'Tab') {
+                    const focusable = Array.from(dialog.querySelectorAll('input:not(:disabled), button'));
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            });
+            
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                let posts = [current];
+                
+                if (form.elements.bookScope.value === 'range') {
+                    if (!from.value || !to.value) {
+                        status.textContent = 'Choose both dates for the range.';
+                        return;
+                    }
+                    const [start, end] = [from.value, to.value].sort();
+                    try {
+                        posts = (await this.loadAllPosts()).filter(entry => entry.date >= start && entry.date <= end);
+                    } catch (error) {
+                        status.textContent = 'The list of posts could not be loaded. Try printing just this post.';
+                        return;
+                    }
+                }
+                
+                posts = posts.filter(entry => entry.pages.length);
+                if (!posts.length) {
+                    status.textContent = 'There are no photos in that range.';
+                    return;
+                }
+                
+                status.textContent = 'Preparing photos…';
+                await this.print(posts);
+                close();
+            });
+            
+            document.body.appendChild(dialog);
+            document.body.style.overflow = 'hidden';
+            form.elements.bookScope[0].focus();
+        }
+        
+        async print(posts) {
+            const book = this.createBook(posts);
+            document.body.appendChild(book);
+            document.documentElement.classList.add('printing-book');
+            
+            // Print only once every photo is ready, or the PDF has gaps
+            await Promise.all(Array.from(book.querySelectorAll('img'), img => (
+                img.decode ? img.decode().catch(() => {}) : Promise.resolve()
+            )));
+            
+            const cleanup = () => {
+                book.remove();
+                document.documentElement.classList.remove('printing-book');
+            };
+            window.addEventListener('afterprint', cleanup, { once: true });
+            window.print();
+        }
+        
+        createBook(posts) {
+            const single = posts.length === 1;
+            const first = posts[0];
+            const last = posts[posts.length - 1];
+            
+            const book = document.createElement('div');
+            book.className = 'photo-book';
+            
+            const cover = this.createElement('section', 'book-page book-cover');
+            const coverPhoto = first.pages[0].photos[0];
+            cover.append(
+                this.createImage(coverPhoto, 'book-cover-image'),
+                this.createElement('h1', 'book-title', single ? first.title : 'Shutter Thoughts'),
+                this.createElement('p', 'book-subtitle', first.date === last.date
+                    ? first.displayDate
+                    : `${first.displayDate} – ${last.displayDate}`)
+            );
+            if (!single) {
+                cover.appendChild(this.createElement('p', 'book-contents', posts.map(post => post.title).join(' · ')));
+            }
+            cover.appendChild(this.createElement('p', 'book-credit', single ? 'Shutter Thoughts' : `${posts.length} posts`));
+            book.appendChild(cover);
+            
+            posts.forEach(post => {
+                // A post opens with its own page, except a single post without text, whose cover says it all
+                if (!single || post.paragraphs.length) {
+                    const chapter = this.createElement('section', 'book-page book-chapter');
+                    chapter.append(
+                        this.createElement('h2', 'book-chapter-title', post.title),
+                        this.createElement('p', 'book-meta', [post.displayDate, post.category].filter(Boolean).join(' · '))
+                    );
+                    post.paragraphs.forEach(text => chapter.appendChild(this.createElement('p', 'book-text', text)));
+                    book.appendChild(chapter);
+                }
+                
+                post.pages.forEach(page => {
+                    const section = this.createElement('section', `book-page book-layout-${page.layout}`);
+                    page.photos.forEach(photo => {
+                        const figure = this.createElement('figure', 'book-photo');
+                        const caption = this.createElement('figcaption', 'book-photo-caption');
+                        if (photo.caption) {
+                            caption.appendChild(this.createElement('span', 'book-caption', photo.caption));
+                        }
+                        if (photo.alt) {
+                            caption.appendChild(this.createElement('span', 'book-alt', photo.alt));
+                        }
+                        caption.appendChild(this.createElement('span', 'book-date', post.displayDate));
+                        figure.append(this.createImage(photo, 'book-image'), caption);
+                        section.appendChild(figure);
+                    });
+                    book.appendChild(section);
+                });
+            });
+            
+            return book;
+        }
+        
+        createElement(tag, className, text) {
+            const element = document.createElement(tag);
+            element.className = className;
+            if (text !== undefined) element.textContent = text;
+            return element;
+        }
+        
+        createImage(photo, className) {
+            const img = document.createElement('img');
+            img.className = className;
+            img.src = photo.src;
+            img.alt = photo.alt;
+            return img;
+        }
+    }
+    
+    // Full-text Search across Blog Posts (runs entirely in the browser)
+    class SearchManager {
+        constructor() {
+            this.posts = Array.from(document.querySelectorAll('.blog-post'));
+            this.header = document.querySelector('.header-top');
+            this.index = new Map();
+            this.documents = [];
+            this.results = [];
+            this.activeIndex = -1;
+            this.stopWords = new Set(['the', 'and', 'of', 'to', 'in', 'is', 'it', 'my', 'on', 'at', 'for', 'was', 'this', 'that', 'with', 'an', 'be', 'so', 'as']);
+            this.fieldWeights = { title: 5, category: 3, date: 2, alt: 2, body: 1 };
+            
+            if (this.posts.length && this.header) {
+                this.init();
+            }
+        }
+        
+        init() {
+            this.buildIndex();
+            this.createSearchBox();
+            this.bindEvents();
+        }
+        
+        tokenize(text) {
+            return text
+                .toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .split(/[^a-z0-9]+/)
+                .filter(token => token.length > 1 && !this.stopWords.has(token));
+        }
+        
+        buildIndex() {
+            this.posts.forEach((post, docId) => {
+                const heading = post.querySelector('h2');
+                const category = post.querySelector('.post-category');
+                const date = post.querySelector('.post-date');
+                const paragraphs = Array.from(post.querySelectorAll('p')).map(p => p.textContent.trim()).filter(Boolean);
+                const alts = Array.from(post.querySelectorAll('img')).map(img => img.alt).filter(Boolean);
+                
+                const fields = {
+                    title: heading ? heading.textContent.trim() : '',
+                    category: category ? category.textContent.trim() : '',
+                    date: date ? date.textContent.trim() : '',
+                    alt: alts.join(' '),
+                    body: paragraphs.join(' ')
+                };
+                
+                this.documents.push({ post, title: fields.title, paragraphs });
+                
+                Object.entries(fields).forEach(([field, text]) => {
+                    this.tokenize(text).forEach(term => {
+                        if (!this.index.has(term)) {
+                            this.index.set(term, new Map());
+                        }
+                        const postings = this.index.get(term);
+                        postings.set(docId, (postings.get(docId) || 0) + this.fieldWeights[field]);
+                    });
+                });
+            });
+            
+            this.terms = Array.from(this.index.keys());
+        }
+        
+        // Levenshtein distance, giving up as soon as it exceeds maxDistance
+        editDistance(a, b, maxDistance) {
+            if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+            
+            let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+                if (rowMin > maxDistance) return maxDistance + 1;
+                previous = current;
+            }
+            return previous[b.length];
+        }
+        
+        // Exact matches score highest, then prefix matches, then typo-tolerant matches
+        matchTerm(queryTerm) {
+            const matches = new Map();
+            const maxDistance = queryTerm.length >= 7 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+            
+            this.terms.forEach(term => {
+                let quality = 0;
+                if (term === queryTerm) {
+                    quality = 1;
+                } else if (term.startsWith(queryTerm)) {
+                    quality = 0.7;
+                } else if (maxDistance && this.editDistance(queryTerm, term, maxDistance) <= maxDistance) {
+                    quality = 0.4;
+                }
+                
+                if (quality) {
+                    matches.set(term, quality);
+                }
+            });
+            
+            return matches;
+        }
+        
+        search(query) {
+            const queryTerms = this.tokenize(query);
+            if (queryTerms.length === 0) return [];
+            
+            let scores = null;
+            const matchedTerms = new Set();
+            
+            // Every query term has to match something in the post
+            queryTerms.forEach(queryTerm => {
+                const termScores = new Map();
+                
+                this.matchTerm(queryTerm).forEach((quality, term) => {
+                    matchedTerms.add(term);
+                    this.index.get(term).forEach((weight, docId) => {
+                        termScores.set(docId, (termScores.get(docId) || 0) + weight * quality);
+                    });
+                });
+                
+                if (scores === null) {
+                    scores = termScores;
+                } else {
+                    scores = new Map(Array.from(scores)
+                        .filter(([docId]) => termScores.has(docId))
+                        .map(([docId, score]) => [docId, score + termScores.get(docId)]));
+                }
+            });
+            
+            return Array.from(scores)
+                .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+                .map(([docId, score]) => ({ ...this.documents[docId], score, terms: Array.from(matchedTerms) }));
+        }
+        
+        createSearchBox() {
+            const container = document.createElement('div');
+            container.className = 'site-search';
+            container.setAttribute('role', 'search');
+            container.innerHTML = `
+                <label for="siteSearch" class="visually-hidden">Search posts</label>
+                <input type="search" id="siteSearch" class="search-input" placeholder="Search posts  /" autocomplete="off"
+                    role="combobox" aria-expanded="false" aria-controls="searchResults" aria-autocomplete="list">
+                <ul id="searchResults" class="search-results" role="listbox" aria-label="Search results" hidden></ul>
+                <p class="search-status" aria-live="polite"></p>
+            `;
+            
+            this.header.appendChild(container);
+            this.input = container.querySelector('.search-input');
+            this.resultsList = container.querySelector('.search-results');
+            this.status = container.querySelector('.search-status');
+        }
+        
+        bindEvents() {
+            this.input.addEventListener('input', () => this.handleInput());
+            this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+            this.input.addEventListener('blur', () => {
+                setTimeout(() => this.closeResults(), 150);
+            });
+            
+            // "/" focuses search from anywhere that isn't already a text field
+            document.addEventListener('keydown', (e) => {
+                const target = e.target;
+                const isTyping = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+                
+                if (e.key === '/' && !isTyping && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    e.preventDefault();
+                    this.input.focus();
+                }
+            });
+        }
+        
+        handleInput() {
+            const query = this.input.value.trim();
+            
+            if (!query) {
+                this.clearFilter();
+                this.clearHighlights();
+                this.closeResults();
+                this.status.textContent = '';
+                return;
+            }
+            
+            this.results = this.search(query);
+            this.renderResults();
+        }
+        
+        handleKeydown(e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (!this.results.length) return;
+                e.preventDefault();
+                
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActiveResult((this.activeIndex + step + this.results.length) % this.results.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                
+                if (this.activeIndex >= 0) {
+                    this.openResult(this.results[this.activeIndex]);
+                } else {
+                    this.filterToResults();
+                }
+            } else if (e.key === 'Escape') {
+                if (!this.resultsList.hidden) {
+                    this.closeResults();
+                } else {
+                    this.input.value = '';
+                    this.handleInput();
+                    this.input.blur();
+                }
+            }
+        }
+        
+        renderResults() {
+            this.resultsList.innerHTML = '';
+            this.activeIndex = -1;
+            this.input.removeAttribute('aria-activedescendant');
+            
+            this.results.forEach((result, i) => {
+                const item = document.createElement('li');
+                item.id = `searchResult${i}`;
+                item.className = 'search-result';
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', 'false');
+                
+                const title = document.createElement('span');
+                title.className = 'search-result-title';
+                this.appendHighlighted(title, result.title, result.terms);
+                
+                const snippet = document.createElement('span');
+                snippet.className = 'search-result-snippet';
+                this.appendHighlighted(snippet, this.makeSnippet(result), result.terms);
+                
+                item.append(title, snippet);
+                item.addEventListener('mousedown', (e) => e.preventDefault());
+                item.addEventListener('click', () => this.openResult(result));
+                this.resultsList.appendChild(item);
+            });
+            
+            const count = this.results.length;
+            this.status.textContent = count
+                ? `${count} ${count === 1 ? 'post' : 'posts'} found. Press Enter to show only matching posts.`
+                : 'No posts found.';
+            
+            this.resultsList.hidden = count === 0;
+            this.input.setAttribute('aria-expanded', count > 0 ? 'true' : 'false');
+        }
+        
+        setActiveResult(index) {
+            const items = this.resultsList.querySelectorAll('.search-result');
+            items.forEach(item => item.setAttribute('aria-selected', 'false'));
+            
+            this.activeIndex = index;
+            items[index].setAttribute('aria-selected', 'true');
+            items[index].scrollIntoView({ block: 'nearest' });
+            this.input.setAttribute('aria-activedescendant', items[index].id);
+        }
+        
+        closeResults() {
+            this.resultsList.hidden = true;
+            this.activeIndex = -1;
+            this.input.setAttribute('aria-expanded', 'false');
+            this.input.removeAttribute('aria-activedescendant');
+        }
+        
+        termPattern(terms) {
+            const escaped = terms
+                .slice()
+                .sort((a, b) => b.length - a.length)
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            return new RegExp(`\\b(${escaped.join('|')})[a-z0-9]*`, 'gi');
+        }
+        
+        // Short excerpt around the first matched term
+        makeSnippet(result) {
+            const pattern = this.termPattern(result.terms);
+            const paragraph = result.paragraphs.find(text => text.search(pattern) !== -1) || result.paragraphs[0] || '';
+            const position = Math.max(paragraph.search(pattern), 0);
+            const start = Math.max(0, position - 40);
+            const excerpt = paragraph.slice(start, start + 120);
+            
+            return `${start > 0 ? '…' : ''}${excerpt}${start + 120 < paragraph.length ? '…' : ''}`;
+        }
+        
+        // Append text to an element with the matched terms wrapped in <mark>
+        appendHighlighted(element, text, terms) {
+            const pattern = this.termPattern(terms);
+            let lastIndex = 0;
+            let match;
+            
+            while ((match = pattern.exec(text)) !== null) {
+                element.append(text.slice(lastIndex, match.index));
+                const mark = document.createElement('mark');
+                mark.textContent = match[0];
+                element.appendChild(mark);
+                lastIndex = match.index + match[0].length;
+            }
+            element.append(text.slice(lastIndex));
+        }
+        
+        highlightPost(post, terms) {
+            const pattern = new RegExp(this.termPattern(terms).source, 'i');
+            const walker = document.createTreeWalker(post, NodeFilter.SHOW_TEXT, {
+                acceptNode: (node) => node.parentElement.closest('h2, p') && pattern.test(node.textContent)
+                    ? NodeFilter.FILTER_ACCEPT
+                    : NodeFilter.FILTER_REJECT
+            });
+            
+            const textNodes = [];
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+            
+            textNodes.forEach(node => {
+                const fragment = document.createElement('span');
+                this.appendHighlighted(fragment, node.textContent, terms);
+                fragment.querySelectorAll('mark').forEach(mark => mark.classList.add('search-highlight'));
+                node.replaceWith(...fragment.childNodes);
+            });
+        }
+        
+        clearHighlights() {
+            document.querySelectorAll('mark.search-highlight').forEach(mark => {
+                const parent = mark.parentNode;
+                mark.replaceWith(document.createTextNode(mark.textContent));
+                parent.normalize();
+            });
+        }
+        
+        openResult(result) {
+            this.clearHighlights();
+            this.highlightPost(result.post, result.terms);
+            this.closeResults();
+            
+            result.post.hidden = false;
+            result.post.classList.remove('search-hidden');
+            const pagination = ShutterThoughts.get('pagination');
+            if (pagination) pagination.reveal(result.post);
+            result.post.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+        }
+        
+        // Show only the posts matching the current query
+        filterToResults() {
+            const matching = new Set(this.results.map(result => result.post));
+            
+            this.clearHighlights();
+            this.posts.forEach(post => {
+                post.classList.toggle('search-hidden', !matching.has(post));
+            });
+            this.results.forEach(result => this.highlightPost(result.post, result.terms));
+            this.closeResults();
+            ShutterThoughts.emit('posts:search', { active: true, count: matching.size });
+            
+            const count = matching.size;
+            this.status.textContent = count
+                ? `Showing ${count} matching ${count === 1 ? 'post' : 'posts'}. Press Escape to clear.`
+                : 'No posts found.';
+            
+            if (this.results.length) {
+                this.results[0].post.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+            }
+        }
+        
+        clearFilter() {
+            this.posts.forEach(post => post.classList.remove('search-hidden'));
+            ShutterThoughts.emit('posts:search', { active: false, count: 0 });
+        }
+    }
+    
+    // EXIF "Shot Details" panel under each photo
+    class ExifManager {
+        constructor() {
+            this.images = document.querySelectorAll('.blog-image img, .blog-image-half img');
+            this.cache = new Map();
+            this.init();
+        }
+        
+        init() {
+            this.images.forEach(img => {
+                if (/\.jpe?g$/i.test(img.getAttribute('src') || '')) {
+                    this.createPanel(img);
+                }
+            });
+        }
+        
+        createPanel(img) {
+            const panel = document.createElement('details');
+            panel.className = 'exif-panel';
+            panel.innerHTML = `
+                <summary>Shot details</summary>
+                <div class="exif-body" aria-live="polite"></div>
+            `;
+            
+            // Sit below the caption when there is one
+            const media = img.closest('picture') || img;
+            const caption = media.nextElementSibling && media.nextElementSibling.classList.contains('image-caption')
+                ? media.nextElementSibling
+                : null;
+            (caption || media).after(panel);
+            
+            // Only download metadata once a reader actually asks for it
+            panel.addEventListener('toggle', () => {
+                if (panel.open && !panel.dataset.loaded) {
+                    panel.dataset.loaded = 'true';
+                    this.loadDetails(img, panel.querySelector('.exif-body'));
+                }
+            });
+        }
+        
+        async loadDetails(img, body) {
+            body.textContent = 'Reading camera data…';
+            
+            try {
+                const tags = await this.readImageExif(img.getAttribute('src'));
+                this.renderDetails(body, tags);
+            } catch (error) {
+                body.textContent = 'Camera data could not be loaded for this photo.';
+            }
+        }
+        
+        async readImageExif(src) {
+            if (!this.cache.has(src)) {
+                // EXIF lives at the start of the file; servers that ignore Range just send it all
+                const request = fetch(src, { headers: { Range: 'bytes=0-131071' } })
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.arrayBuffer();
+                    })
+                    .then(readExif);
+                this.cache.set(src, request);
+            }
+            return this.cache.get(src);
+        }
+        
+        renderDetails(body, tags) {
+            const rows = tags ? this.formatTags(tags) : [];
+            body.textContent = '';
+            
+            if (rows.length === 0) {
+                const message = document.createElement('p');
+                message.className = 'exif-empty';
+                message.textContent = 'No shot details: the camera data was stripped from this photo.';
+                body.appendChild(message);
+                return;
+            }
+            
+            const list = document.createElement('dl');
+            list.className = 'exif-list';
+            rows.forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                const detail = document.createElement('dd');
+                term.textContent = label;
+                detail.textContent = value;
+                list.append(term, detail);
+            });
+            body.appendChild(list);
+        }
+        
+        formatTags(tags) {
+            const rows = [];
+            const make = tags.make || '';
+            const model = tags.model || '';
+            
+            if (make || model) {
+                // Avoid "SONY SONY DSC-..." style duplication
+                const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`;
+                rows.push(['Camera', camera.trim()]);
+            }
+            if (tags.lensModel) {
+                rows.push(['Lens', tags.lensModel]);
+            }
+            if (tags.focalLength) {
+                const equivalent = tags.focalLength35mm ? ` (${tags.focalLength35mm} mm equiv.)` : '';
+                rows.push(['Focal length', `${Number(tags.focalLength.toFixed(2))} mm${equivalent}`]);
+            }
+            if (tags.fNumber) {
+                rows.push(['Aperture', `f/${tags.fNumber.toFixed(1)}`]);
+            }
+            if (tags.exposureTime) {
+                rows.push(['Shutter speed', this.formatExposure(tags.exposureTime)]);
+            }
+            if (tags.iso) {
+                rows.push(['ISO', String(Array.isArray(tags.iso) ? tags.iso[0] : tags.iso)]);
+            }
+            
+            const captured = this.parseExifDate(tags.dateTimeOriginal || tags.dateTime);
+            if (captured) {
+                rows.push(['Captured', captured.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })]);
+            }
+            
+            return rows;
+        }
+        
+        formatExposure(seconds) {
+            if (seconds >= 1) {
+                return `${Number(seconds.toFixed(1))} s`;
+            }
+            return `1/${Math.round(1 / seconds)} s`;
+        }
+        
+        // EXIF dates look like "2025:10:23 23:17:39" with no time zone
+        parseExifDate(value) {
+            const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+            if (!match) return null;
+            
+            const [, year, month, day, hour, minute, second] = match.map(Number);
+            const date = new Date(year, month - 1, day, hour, minute, second);
+            return isNaN(date) ? null : date;
+        }
+    }
+    
+    // Comments Management
+    // Threads load from the local server as each post comes into view. When the server can't be
+    // reached, the last copy seen on this device is shown read-only and the form is hidden.
+    class CommentsManager {
+        constructor() {
+            this.posts = Array.from(document.querySelectorAll('.blog-post[data-post-id]'))
+                .filter(post => /^[a-z0-9-]+$/.test(post.dataset.postId));
+            this.endpoint = apiUrl('comments');
+            this.init();
+        }
+        
+        init() {
+            const threads = this.posts.map(post => this.createThread(post));
+            if (!threads.length) return;
+            
+            if (!('IntersectionObserver' in window)) {
+                threads.forEach(thread => this.loadThread(thread));
+                return;
+            }
+            
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        this.loadThread(entry.target);
+                    }
+                });
+            }, { rootMargin: '300px 0px' });
+            
+            threads.forEach(thread => observer.observe(thread));
+        }
+        
+        createThread(post) {
+            const postId = post.dataset.postId;
+            const section = document.createElement('section');
+            section.className = 'post-comments';
+            section.dataset.postId = postId;
+            section.setAttribute('aria-labelledby', `comments-${postId}`);
+            section.innerHTML = `
+                <h3 class="comments-title" id="comments-${postId}">Comments</h3>
+                <ol class="comment-list"></ol>
+                <p class="comments-status" aria-live="polite"></p>
+                <form class="comment-form">
+                    <div class="comment-field">
+                        <label for="comment-name-${postId}">Name</label>
+                        <input type="text" id="comment-name-${postId}" name="name" maxlength="60" autocomplete="name" required>
+                    </div>
+                    <div class="comment-field">
+                        <label for="comment-body-${postId}">Comment</label>
+                        <textarea id="comment-body-${postId}" name="body" rows="4" maxlength="2000" required></textarea>
+                    </div>
+                    <div class="comment-honeypot" aria-hidden="true">
+                        <label for="comment-website-${postId}">Website</label>
+                        <input type="text" id="comment-website-${postId}" name="website" tabindex="-1" autocomplete="off">
+                    </div>
+                    <p class="comment-hint">Links and line breaks are kept. Comments appear once approved.</p>
+                    <button type="submit" class="comment-submit">Post comment</button>
+                </form>
+            `;
+            
+            const form = section.querySelector('.comment-form');
+            form.elements.name.value = localStorage.getItem('commentAuthor') || '';
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitComment(section, form);
+            });
+            
+            post.appendChild(section);
+            return section;
+        }
+        
+        async loadThread(section) {
+            const postId = section.dataset.postId;
+            const status = section.querySelector('.comments-status');
+            status.textContent = 'Loading comments…';
+            
+            try {
+                const response = await fetch(`${this.endpoint}?post=${encodeURIComponent(postId)}`, {
+                    headers: { Accept: 'application/json' }
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const { comments } = await response.json();
+                this.saveCopy(postId, comments);
+                this.renderComments(section, comments);
+                status.textContent = comments.length ? '' : 'No comments yet.';
+            } catch (error) {
+                this.showReadOnly(section, this.readCopy(postId));
+            }
+        }
+        
+        showReadOnly(section, comments) {
+            section.classList.add('read-only');
+            section.querySelector('.comment-form').hidden = true;
+            this.renderComments(section, comments || []);
+            
+            section.querySelector('.comments-status').textContent = comments
+                ? 'Comments are read-only right now. Showing the last copy saved on this device.'
+                : 'Comments are unavailable right now.';
+        }
+        
+        renderComments(section, comments) {
+            const list = section.querySelector('.comment-list');
+            list.innerHTML = '';
+            comments.forEach(comment => list.appendChild(this.createComment(comment)));
+        }
+        
+        createComment(comment) {
+            const item = document.createElement('li');
+            item.className = 'comment';
+            
+            const meta = document.createElement('div');
+            meta.className = 'comment-meta';
+            
+            const author = document.createElement('strong');
+            author.className = 'comment-author';
+            author.textContent = comment.name;
+            meta.appendChild(author);
+            
+            const date = new Date(comment.createdAt);
+            if (!isNaN(date)) {
+                const time = document.createElement('time');
+                time.className = 'comment-date';
+                time.dateTime = date.toISOString();
+                time.textContent = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+                meta.appendChild(time);
+            }
+            
+            const body = document.createElement('div');
+            body.className = 'comment-body';
+            body.appendChild(sanitizeUserContent(comment.body));
+            
+            item.append(meta, body);
+            return item;
+        }
+        
+        async submitComment(section, form) {
+            const status = section.querySelector('.comments-status');
+            const button = form.querySelector('.comment-submit');
+            const name = form.elements.name.value.trim();
+            const body = form.elements.body.value.trim();
+            
+            if (!name || !body) {
+                status.textContent = 'Please fill in your name and a comment.';
+                return;
+            }
+            
+            button.disabled = true;
+            status.textContent = 'Sending…';
+            
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        post: section.dataset.postId,
+                        name,
+                        body,
+                        website: form.elements.website.value
+                    })
+                });
+                
+                if (!response.ok) {
+                    const result = await response.json().catch(() => ({}));
+                    throw new Error(result.error || 'Your comment could not be sent. Please try again.');
+                }
+                
+                localStorage.setItem('commentAuthor', name);
+                form.elements.body.value = '';
+                status.textContent = 'Thanks! Your comment will appear once it has been approved.';
+            } catch (error) {
+                // fetch rejects with a TypeError when the server isn't there at all
+                status.textContent = error instanceof TypeError
+                    ? 'Comments are unavailable right now. Please try again later.'
+                    : error.message;
+            } finally {
+                button.disabled = false;
+            }
+        }
+        
+        saveCopy(postId, comments) {
+            try {
+                localStorage.setItem(`comments:${postId}`, JSON.stringify(comments));
+            } catch (error) {
+                // Storage full or disabled: the read-only fallback just has nothing to show
+            }
+        }
+        
+        readCopy(postId) {
+            try {
+                return JSON.parse(localStorage.getItem(`comments:${postId}`));
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    
+    // Comment moderation queue (moderation.html), for the site owner only.
+    // The owner token is checked by the server; it is kept in sessionStorage for this tab.
+    class ModerationManager {
+        constructor() {
+            this.queue = document.getElementById('moderationQueue');
+            if (!this.queue) return;
+            
+            this.loginForm = document.getElementById('moderationLogin');
+            this.status = document.querySelector('.moderation-status');
+            this.filterButtons = document.querySelectorAll('.moderation-filter');
+            this.endpoint = apiUrl('comments/moderation');
+            this.currentStatus = 'pending';
+            this.init();
+        }
+        
+        init() {
+            this.loginForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                sessionStorage.setItem('ownerToken', document.getElementById('moderationToken').value);
+                this.loadQueue();
+            });
+            
+            this.filterButtons.forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.currentStatus = btn.dataset.status;
+                    this.loadQueue();
+                });
+            });
+            
+            if (sessionStorage.getItem('ownerToken')) {
+                this.loadQueue();
+            } else {
+                this.showLogin(true);
+            }
+        }
+        
+        showLogin(visible) {
+            this.loginForm.hidden = !visible;
+            document.querySelector('.moderation-filters').hidden = visible;
+            this.queue.hidden = visible;
+        }
+        
+        async request(url, options = {}) {
+            const response = await fetch(url, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${sessionStorage.getItem('ownerToken')}`
+                }
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (response.status === 401 || response.status === 403) {
+                sessionStorage.removeItem('ownerToken');
+                this.showLogin(true);
+            }
+            if (!response.ok) {
+                throw new Error(result.error || `Request failed (HTTP ${response.status})`);
+            }
+            return result;
+        }
+        
+        async loadQueue() {
+            this.filterButtons.forEach(btn => {
+                const active = btn.dataset.status === this.currentStatus;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', String(active));
+            });
+            this.status.textContent = 'Loading comments…';
+            
+            try {
+                const query = this.currentStatus ? `?status=${this.currentStatus}` : '';
+                const { comments } = await this.request(this.endpoint + query);
+                
+                this.showLogin(false);
+                this.queue.innerHTML = '';
+                comments.forEach(comment => this.queue.appendChild(this.createItem(comment)));
+                this.status.textContent = `${comments.length} ${comments.length === 1 ? 'comment' : 'comments'}`;
+            } catch (error) {
+                this.status.textContent = error instanceof TypeError
+                    ? 'The comments server is not running. Start it with node server/index.js.'
+                    : error.message;
+            }
+        }
+        
+        createItem(comment) {
+            const item = document.createElement('li');
+            item.className = `moderation-item status-${comment.status}`;
+            item.innerHTML = `
+                <div class="moderation-meta">
+                    <strong class="comment-author"></strong>
+                    on <a class="moderation-post"></a>
+                    <time class="comment-date"></time>
+                    <span class="moderation-badge"></span>
+                </div>
+                <div class="comment-body"></div>
+                <div class="moderation-actions">
+                    <button type="button" data-action="approved">Approve</button>
+                    <button type="button" data-action="hidden">Hide</button>
+                    <button type="button" data-action="delete" class="moderation-delete">Delete</button>
+                </div>
+            `;
+            
+            item.querySelector('.comment-author').textContent = comment.name;
+            const postLink = item.querySelector('.moderation-post');
+            postLink.href = `posts/${encodeURIComponent(comment.post)}.html`;
+            postLink.textContent = comment.post;
+            item.querySelector('.comment-date').textContent = new Date(comment.createdAt).toLocaleString('en-US');
+            item.querySelector('.moderation-badge').textContent = comment.status;
+            item.querySelector('.comment-body').appendChild(sanitizeUserContent(comment.body));
+            
+            item.querySelectorAll('[data-action]').forEach(btn => {
+                btn.disabled = btn.dataset.action === comment.status;
+                btn.addEventListener('click', () => this.moderate(comment, btn.dataset.action));
+            });
+            
+            return item;
+        }
+        
+        async moderate(comment, action) {
+            if (action === 'delete' && !window.confirm(`Delete the comment from ${comment.name}? This can't be undone.`)) {
+                return;
+            }
+            
+            try {
+                if (action === 'delete') {
+                    await this.request(`${this.endpoint}?id=${encodeURIComponent(comment.id)}`, { method: 'DELETE' });
+                } else {
+                    await this.request(this.endpoint, {
+                        method: 'PATCH',
+                        body: JSON.stringify({ id: comment.id, status: action })
+                    });
+                }
+                this.loadQueue();
+            } catch (error) {
+                this.status.textContent = error.message;
+            }
+        }
+    }
+    
+    // Photo uploads (upload.html), for the site owner only.
+    // Each photo is prepared in the browser, then sent to the local server one at a time;
+    // the server saves it under images/<folder>/.
+    class UploadManager {
+        constructor() {
+            this.form = document.getElementById('photoUploader');
+            if (!this.form) return;
+            
+            this.dropzone = document.getElementById('uploadDropzone');
+            this.fileInput = document.getElementById('uploadFiles');
+            this.folderInput = document.getElementById('uploadFolder');
+            this.folderList = document.getElementById('uploadFolders');
+            this.tokenInput = document.getElementById('uploadToken');
+            this.stripGpsInput = document.getElementById('stripGps');
+            this.list = document.getElementById('uploadList');
+            this.status = document.querySelector('.upload-status');
+            this.endpoint = apiUrl('images');
+            this.queue = Promise.resolve();
+            this.init();
+        }
+        
+        init() {
+            this.tokenInput.value = sessionStorage.getItem('ownerToken') || '';
+            this.tokenInput.addEventListener('change', () => {
+                sessionStorage.setItem('ownerToken', this.tokenInput.value);
+            });
+            
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+            
+            this.dropzone.addEventListener('click', () => this.fileInput.click());
+            this.dropzone.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.fileInput.click();
+                }
+            });
+            
+            this.fileInput.addEventListener('change', () => {
+                this.addFiles(this.fileInput.files);
+                this.fileInput.value = '';
+            });
+            
+            ['dragenter', 'dragover'].forEach(type => {
+                this.dropzone.addEventListener(type, (e) => {
+                    e.preventDefault();
+                    this.dropzone.classList.add('dragging');
+                });
+            });
+            
+            ['dragleave', 'drop'].forEach(type => {
+                this.dropzone.addEventListener(type, () => {
+                    this.dropzone.classList.remove('dragging');
+                });
+            });
+            
+            this.dropzone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.addFiles(e.dataTransfer.files);
+            });
+            
+            this.loadFolders();
+        }
+        
+        async loadFolders() {
+            try {
+                const response = await fetch(this.endpoint, { headers: { Accept: 'application/json' } });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const { folders } = await response.json();
+                this.folderList.innerHTML = '';
+                folders.forEach(folder => {
+                    const option = document.createElement('option');
+                    option.value = folder.name;
+                    this.folderList.appendChild(option);
+                });
+            } catch (error) {
+                this.status.textContent = 'The upload server is not running. Start it with node server/index.js.';
+            }
+        }
+        
+        addFiles(fileList) {
+            const folder = this.folderInput.value.trim();
+            if (!folder) {
+                this.status.textContent = 'Choose a post folder first.';
+                this.folderInput.focus();
+                return;
+            }
+            
+            this.status.textContent = '';
+            Array.from(fileList).forEach(file => {
+                const item = this.createItem(file);
+                // One at a time keeps memory in check with large photos
+                this.queue = this.queue.then(() => this.uploadFile(file, folder, item));
+            });
+            this.queue = this.queue.then(() => this.loadFolders());
+        }
+        
+        createItem(file) {
+            const item = document.createElement('li');
+            item.className = 'upload-item';
+            item.innerHTML = `
+                <span class="upload-name"></span>
+                <progress class="upload-progress" max="100" value="0"></progress>
+                <span class="upload-state">Waiting…</span>
+            `;
+            item.querySelector('.upload-name').textContent = file.name;
+            item.querySelector('.upload-progress').setAttribute('aria-label', `Upload progress for ${file.name}`);
+            
+            this.list.appendChild(item);
+            return item;
+        }
+        
+        async uploadFile(file, folder, item) {
+            const state = item.querySelector('.upload-state');
+            const progress = item.querySelector('.upload-progress');
+            
+            try {
+                validateImageFile(file);
+                
+                state.textContent = 'Preparing…';
+                const prepared = await prepareImageForUpload(file, { stripGps: this.stripGpsInput.checked });
+                
+                state.textContent = 'Uploading…';
+                const result = await this.send(prepared, file.name, folder, percent => {
+                    progress.value = percent;
+                });
+                
+                progress.value = 100;
+                item.classList.add('done');
+                state.textContent = `Saved as ${result.src}`;
+            } catch (error) {
+                item.classList.add('failed');
+                state.textContent = error.message;
+            }
+        }
+        
+        // XMLHttpRequest rather than fetch, which can't report upload progress
+        send(blob, name, folder, onProgress) {
+            return new Promise((resolve, reject) => {
+                const url = new URL(this.endpoint);
+                url.searchParams.set('folder', folder);
+                url.searchParams.set('name', name);
+                
+                const xhr = new XMLHttpRequest();
+                xhr.open('POST', url.href);
+                xhr.setRequestHeader('Content-Type', blob.type);
+                xhr.setRequestHeader('Authorization', `Bearer ${this.tokenInput.value}`);
+                
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) {
+                        onProgress(Math.round((e.loaded / e.total) * 100));
+                    }
+                });
+                
+                xhr.addEventListener('load', () => {
+                    let result = {};
+                    try {
+                        result = JSON.parse(xhr.responseText);
+                    } catch (error) {
+                        // Fall through to the status code
+                    }
+                    
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        resolve(result);
+                    } else {
+                        reject(new Error(result.error || `Upload failed (HTTP ${xhr.status})`));
+                    }
+                });
+                
+                xhr.addEventListener('error', () => {
+                    reject(new Error('The upload server could not be reached.'));
+                });
+                
+                xhr.send(blob);
+            });
+        }
+    }
+    
+    // Post composer (composer.html): builds a post from paragraphs and photos, previews it with the
+    // site's styles and exports either the Markdown source for content/posts/ or the <article> markup.
+    // The markup mirrors tools/build.js, minus the responsive image attributes the build adds.
+    class ComposerManager {
+        constructor() {
+            this.form = document.getElementById('composer');
+            if (!this.form) return;
+            
+            this.fields = {
+                title: document.getElementById('composerTitle'),
+                date: document.getElementById('composerDate'),
+                category: document.getElementById('composerCategory'),
+                tags: document.getElementById('composerTags'),
+                number: document.getElementById('composerNumber')
+            };
+            this.blockList = document.getElementById('composerBlocks');
+            this.preview = document.getElementById('composerPreview');
+            this.output = document.getElementById('composerOutput');
+            this.status = document.querySelector('.composer-status');
+            this.formatButtons = document.querySelectorAll('.composer-formats [data-format]');
+            
+            this.blocks = [];
+            this.folders = [];
+            this.outputFormat = 'markdown';
+            this.nextBlockId = 1;
+            this.saveTimer = null;
+            this.init();
+        }
+        
+        init() {
+            if (!this.restoreDraft()) {
+                this.fields.date.value = new Date().toISOString().slice(0, 10);
+                this.addBlock('paragraph');
+            }
+            
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+            Object.values(this.fields).forEach(field => {
+                field.addEventListener('input', () => this.update());
+            });
+            
+            document.getElementById('composerAddParagraph').addEventListener('click', () => this.addBlock('paragraph'));
+            document.getElementById('composerAddImage').addEventListener('click', () => this.addBlock('image'));
+            document.getElementById('composerDownload').addEventListener('click', () => this.download());
+            document.getElementById('composerCopy').addEventListener('click', () => this.copyOutput());
+            document.getElementById('composerSave').addEventListener('click', () => this.saveDraft(true));
+            document.getElementById('composerClear').addEventListener('click', () => this.clear());
+            
+            this.formatButtons.forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.outputFormat = btn.dataset.format;
+                    this.formatButtons.forEach(other => {
+                        other.classList.toggle('active', other === btn);
+                        other.setAttribute('aria-pressed', String(other === btn));
+                    });
+                    this.update();
+                });
+            });
+            
+            this.bindBlockEvents();
+            this.renderBlocks();
+            this.loadImages();
+            this.loadSiteInfo();
+        }
+        
+        bindBlockEvents() {
+            const updateField = (e) => {
+                const field = e.target.dataset.field;
+                const block = this.findBlock(e.target);
+                if (!field || !block) return;
+                
+                block[field] = e.target.value;
+                if (field === 'src') {
+                    this.updateThumbnail(e.target.closest('.composer-block'), block);
+                }
+                this.update();
+            };
+            this.blockList.addEventListener('input', updateField);
+            this.blockList.addEventListener('change', updateField);
+            
+            this.blockList.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                const block = this.findBlock(e.target);
+                if (!button || !block) return;
+                
+                const index = this.blocks.indexOf(block);
+                if (button.dataset.move) {
+                    const target = index + Number(button.dataset.move);
+                    if (target < 0 || target >= this.blocks.length) return;
+                    this.blocks.splice(index, 1);
+                    this.blocks.splice(target, 0, block);
+                    this.renderBlocks();
+                    this.blockList.children[target].querySelector(`[data-move="${button.dataset.move}"]`).focus();
+                } else if (button.hasAttribute('data-remove')) {
+                    this.blocks.splice(index, 1);
+                    this.renderBlocks();
+                }
+            });
+            
+            // Drag to reorder, started from the handle so text in the fields stays selectable
+            this.blockList.addEventListener('mousedown', (e) => {
+                const handle = e.target.closest('.composer-handle');
+                if (handle) handle.closest('.composer-block').draggable = true;
+            });
+            
+            this.blockList.addEventListener('dragstart', (e) => {
+                this.dragging = e.target.closest('.composer-block');
+                this.dragging.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.dragging.dataset.id);
+            });
+            
+            this.blockList.addEventListener('dragover', (e) => {
+                if (!this.dragging) return;
+                e.preventDefault();
+                
+                const target = e.target.closest('.composer-block');
+                if (!target || target === this.dragging) return;
+                const rect = target.getBoundingClientRect();
+                if (e.clientY > rect.top + rect.height / 2) {
+                    target.after(this.dragging);
+                } else {
+                    target.before(this.dragging);
+                }
+            });
+            
+            this.blockList.addEventListener('drop', (e) => e.preventDefault());
+            
+            this.blockList.addEventListener('dragend', () => {
+                if (!this.dragging) return;
+                this.dragging.draggable = false;
+                this.dragging.classList.remove('dragging');
+                this.dragging = null;
+                
+                const order = Array.from(this.blockList.children).map(item => Number(item.dataset.id));
+                this.blocks.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+                this.renderBlocks();
+            });
+        }
+        
+        findBlock(element) {
+            const item = element.closest('.composer-block');
+            return item ? this.blocks.find(block => block.id === Number(item.dataset.id)) : null;
+        }
+        
+        addBlock(type, values = {}) {
+            const block = type === 'image'
+                ? { type, src: '', alt: '', caption: '', layout: 'full', ...values }
+                : { type, text: '', ...values };
+            block.id = this.nextBlockId++;
+            this.blocks.push(block);
+            
+            if (!values.restored) {
+                this.renderBlocks();
+                this.blockList.lastElementChild.querySelector('[data-field]').focus();
+            }
+            delete block.restored;
+            return block;
+        }
+        
+        renderBlocks() {
+            this.blockList.innerHTML = '';
+            this.blocks.forEach((block, i) => this.blockList.appendChild(this.createBlockElement(block, i)));
+            this.update();
+        }
+        
+        createBlockElement(block, index) {
+            const item = document.createElement('li');
+            item.className = `composer-block composer-block-${block.type}`;
+            item.dataset.id = block.id;
+            const fieldId = `composer-block-${block.id}`;
+            
+            item.innerHTML = `
+                <div class="composer-block-bar">
+                    <span class="composer-handle" title="Drag to reorder" aria-hidden="true">⠿</span>
+                    <span class="composer-block-type">${block.type === 'image' ? 'Photo' : 'Paragraph'}</span>
+                    <button type="button" data-move="-1" aria-label="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                    <button type="button" data-move="1" aria-label="Move down"${index === this.blocks.length - 1 ? ' disabled' : ''}>↓</button>
+                    <button type="button" data-remove aria-label="Remove">&times;</button>
+                </div>
+            ` + (block.type === 'image' ? `
+                <div class="composer-image-fields">
+                    <img class="composer-thumb" alt="">
+                    <div class="composer-field">
+                        <label for="${fieldId}-src">Photo</label>
+                        <select id="${fieldId}-src" data-field="src"></select>
+                    </div>
+                    <div class="composer-field">
+                        <label for="${fieldId}-layout">Layout</label>
+                        <select id="${fieldId}-layout" data-field="layout">
+                            <option value="full">Full width</option>
+                            <option value="half">Half-width pair</option>
+                            <option value="center">Centered</option>
+                        </select>
+                    </div>
+                    <div class="composer-field">
+                        <label for="${fieldId}-alt">Alt text</label>
+                        <input type="text" id="${fieldId}-alt" data-field="alt">
+                    </div>
+                    <div class="composer-field">
+                        <label for="${fieldId}-caption">Caption</label>
+                        <input type="text" id="${fieldId}-caption" data-field="caption">
+                    </div>
+                </div>
+            ` : `
+                <label for="${fieldId}-text" class="visually-hidden">Paragraph text</label>
+                <textarea id="${fieldId}-text" data-field="text" rows="4" placeholder="Write a paragraph. **bold**, *italic* and [links](https://example.com) work."></textarea>
+            `);
+            
+            if (block.type === 'image') {
+                this.fillImageOptions(item.querySelector('[data-field="src"]'), block.src);
+                item.querySelector('[data-field="layout"]').value = block.layout;
+                item.querySelector('[data-field="alt"]').value = block.alt;
+                item.querySelector('[data-field="caption"]').value = block.caption;
+                this.updateThumbnail(item, block);
+            } else {
+                item.querySelector('[data-field="text"]').value = block.text;
+            }
+            
+            item.addEventListener('dragend', () => {
+                item.draggable = false;
+            });
+            return item;
+        }
+        
+        fillImageOptions(select, current) {
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = this.folders.length ? 'Choose a photo…' : 'Loading photos…';
+            select.appendChild(placeholder);
+            
+            this.folders.forEach(folder => {
+                const group = document.createElement('optgroup');
+                group.label = folder.name;
+                folder.images.forEach(src => {
+                    const option = document.createElement('option');
+                    option.value = src;
+                    option.textContent = src.split('/').pop();
+                    group.appendChild(option);
+                });
+                select.appendChild(group);
+            });
+            
+            // Keep a draft's photo selectable even if it is no longer listed
+            if (current && !Array.from(select.options).some(option => option.value === current)) {
+                const option = document.createElement('option');
+                option.value = current;
+                option.textContent = current;
+                select.appendChild(option);
+            }
+            select.value = current;
+        }
+        
+        updateThumbnail(item, block) {
+            const thumb = item.querySelector('.composer-thumb');
+            thumb.hidden = !block.src;
+            if (block.src) thumb.src = block.src;
+        }
+        
+        // Photos come from the local server's listing, or from the image manifest on static hosting
+        async loadImages() {
+            try {
+                const response = await fetch(apiUrl('images'), { headers: { Accept: 'application/json' } });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.folders = (await response.json()).folders.filter(folder => folder.images.length);
+            } catch (error) {
+                try {
+                    const response = await fetch(new URL('images/generated/manifest.json', SITE_ROOT).href);
+                    const manifest = await response.json();
+                    const byFolder = new Map();
+                    Object.keys(manifest).forEach(src => {
+                        const folder = src.split('/').slice(1, -1).join('/');
+                        if (!byFolder.has(folder)) byFolder.set(folder, []);
+                        byFolder.get(folder).push(src);
+                    });
+                    this.folders = Array.from(byFolder, ([name, images]) => ({ name, images }));
+                } catch (manifestError) {
+                    this.status.textContent = 'Photos could not be listed. Start the local server with node server/index.js.';
+                }
+            }
+            
+            this.renderBlocks();
+        }
+        
+        // Suggest the next file number and the categories already in use
+        async loadSiteInfo() {
+            try {
+                const response = await fetch(new URL('index.html', SITE_ROOT).href);
+                const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+                
+                if (!this.fields.number.value) {
+                    this.fields.number.value = page.querySelectorAll('.blog-post').length + 1;
+                }
+                
+                const categories = new Set(Array.from(page.querySelectorAll('.post-category'), el => el.textContent.trim()));
+                const list = document.getElementById('composerCategories');
+                categories.forEach(category => {
+                    const option = document.createElement('option');
+                    option.value = category;
+                    list.appendChild(option);
+                });
+                
+                this.update();
+            } catch (error) {
+                // Both are only suggestions
+            }
+        }
+        
+        getPost() {
+            const title = this.fields.title.value.trim();
+            const slug = title.toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '');
+            
+            return {
+                title,
+                slug: slug || 'new-post',
+                date: this.fields.date.value,
+                category: this.fields.category.value.trim(),
+                tags: this.fields.tags.value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean),
+                number: Math.max(parseInt(this.fields.number.value, 10) || 1, 1),
+                blocks: this.blocks
+            };
+        }
+        
+        // Consecutive half-width photos pair up in a grid; a lone one falls back to full width
+        groupBlocks(blocks) {
+            const groups = [];
+            blocks.forEach(block => {
+                if (block.type === 'paragraph') {
+                    if (block.text.trim()) groups.push({ type: 'paragraph', text: block.text.trim() });
+                    return;
+                }
+                if (!block.src) return;
+                
+                const last = groups[groups.length - 1];
+                if (block.layout === 'half' && last && last.type === 'half') {
+                    last.images.push(block);
+                } else {
+                    groups.push({ type: block.layout, images: [block] });
+                }
+            });
+            
+            groups.forEach(group => {
+                if (group.type === 'half' && group.images.length === 1) group.type = 'full';
+            });
+            return groups;
+        }
+        
+        formatDate(isoDate) {
+            const [year, month, day] = isoDate.split('-').map(Number);
+            if (!year || !month || !day) return '';
+            return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+                timeZone: 'UTC',
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+        }
+        
+        renderImage(image, className) {
+            const lines = [`<img src="${escapeHtml(image.src)}" alt="${escapeHtml(image.alt)}" class="${className}">`];
+            if (image.caption.trim()) {
+                lines.push(`<p class="image-caption">${renderInlineMarkdown(image.caption.trim())}</p>`);
+            }
+            return lines;
+        }
+        
+        toArticle(post) {
+            const indent = (lines, depth = 1) => lines.map(line => (line ? '    '.repeat(depth) + line : line));
+            const body = [];
+            
+            this.groupBlocks(post.blocks).forEach(group => {
+                if (body.length) body.push('');
+                
+                if (group.type === 'paragraph') {
+                    group.text.split(/\n\s*\n/).forEach((text, i) => {
+                        if (i > 0) body.push('');
+                        body.push(`<p>${renderInlineMarkdown(text.replace(/\s*\n\s*/g, ' '))}</p>`);
+                    });
+                } else if (group.type === 'half') {
+                    const cells = [];
+                    group.images.forEach((image, i) => {
+                        if (i > 0) cells.push('');
+                        cells.push('<div class="blog-image-half">', ...indent(this.renderImage(image, 'blog-img-half')), '</div>');
+                    });
+                    body.push('<div class="blog-image-grid">', ...indent(cells), '</div>');
+                } else {
+                    const className = group.type === 'center' ? 'blog-img-center' : 'blog-img-full';
+                    body.push('<div class="blog-image">', ...indent(this.renderImage(group.images[0], className)), '</div>');
+                }
+            });
+            
+            const tagsAttribute = post.tags.length ? ` data-tags="${escapeHtml(post.tags.join(' '))}"` : '';
+            // Same page names as tagSlug() in tools/lib/posts.js
+            const tagList = post.tags.length ? [
+                '',
+                '<ul class="post-tags" aria-label="Tags">',
+                ...post.tags.map(tag => {
+                    const slug = tag.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+                    return `    <li><a href="tags/${slug}.html" class="tag-chip" rel="tag">#${escapeHtml(tag)}</a></li>`;
+                }),
+                '</ul>'
+            ] : [];
+            return [
+                `<!-- ${escapeHtml(post.title.toUpperCase())} POST -->`,
+                `<article class="blog-post" id="post-${post.slug}" data-post-id="${post.slug}"${tagsAttribute}>`,
+                '    <div class="post-meta">',
+                `        <span class="post-date">${this.formatDate(post.date)}</span>`,
+                `        <span class="post-category">${escapeHtml(post.category)}</span>`,
+                '    </div>',
+                `    <h2><a href="posts/${post.slug}.html" class="post-link">${escapeHtml(post.title)}</a></h2>`,
+                '',
+                ...indent(body),
+                ...indent(tagList),
+                '</article>'
+            ].join('\n');
+        }
+        
+        toMarkdown(post) {
+            // Brackets and double quotes would end the alt text or caption early
+            const imageLine = (image, layout) => {
+                const alt = image.alt.replace(/[[\]]/g, '');
+                const caption = image.caption.trim() ? ` "${image.caption.trim().replace(/"/g, "'")}"` : '';
+                return `![${alt}](${image.src}${caption})${layout === 'center' ? '{center}' : ''}`;
+            };
+            
+            const blocks = this.groupBlocks(post.blocks).map(group => {
+                if (group.type === 'paragraph') return group.text;
+                return group.images.map(image => imageLine(image, group.type)).join('\n');
+            });
+            
+            const frontMatter = [
+                '---',
+                `title: ${post.title}`,
+                `date: ${post.date}`,
+                `category: ${post.category}`
+            ];
+            if (post.tags.length) frontMatter.push(`tags: [${post.tags.join(', ')}]`);
+            frontMatter.push('---');
+            
+            return `${frontMatter.join('\n')}\n\n${blocks.join('\n\n')}\n`;
+        }
+        
+        fileName(post) {
+            return `${String(post.number).padStart(3, '0')}-${post.slug}.md`;
+        }
+        
+        update() {
+            const post = this.getPost();
+            const article = this.toArticle(post);
+            
+            this.preview.innerHTML = article;
+            this.output.value = this.outputFormat === 'markdown' ? this.toMarkdown(post) : article;
+            document.querySelector('.composer-file-name').textContent = this.fileName(post);
+            
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.saveDraft(false), 500);
+        }
+        
+        saveDraft(announce) {
+            const draft = {
+                title: this.fields.title.value,
+                date: this.fields.date.value,
+                category: this.fields.category.value,
+                tags: this.fields.tags.value,
+                number: this.fields.number.value,
+                blocks: this.blocks.map(({ id, ...block }) => block)
+            };
+            
+            try {
+                localStorage.setItem('composerDraft', JSON.stringify(draft));
+                if (announce) {
+                    this.status.textContent = `Draft saved at ${new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.`;
+                }
+            } catch (error) {
+                this.status.textContent = 'The draft could not be saved in this browser.';
+            }
+        }
+        
+        restoreDraft() {
+            let draft;
+            try {
+                draft = JSON.parse(localStorage.getItem('composerDraft'));
+            } catch (error) {
+                return false;
+            }
+            if (!draft) return false;
+            
+            ['title', 'date', 'category', 'tags', 'number'].forEach(key => {
+                this.fields[key].value = draft[key] || '';
+            });
+            (draft.blocks || []).forEach(block => this.addBlock(block.type, { ...block, restored: true }));
+            return true;
+        }
+        
+        clear() {
+            if (!window.confirm('Start a new post? The current draft will be discarded.')) return;
+            
+            localStorage.removeItem('composerDraft');
+            Object.values(this.fields).forEach(field => {
+                field.value = '';
+            });
+            this.fields.date.value = new Date().toISOString().slice(0, 10);
+            this.blocks = [];
+            this.addBlock('paragraph');
+            this.loadSiteInfo();
+            this.status.textContent = 'Started a new post.';
+        }
+        
+        download() {
+            const post = this.getPost();
+            const blob = new Blob([this.toMarkdown(post)], { type: 'text/markdown' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = this.fileName(post);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+        
+        async copyOutput() {
+            try {
+                await navigator.clipboard.writeText(this.output.value);
+                this.status.textContent = 'Copied to the clipboard.';
+            } catch (error) {
+                this.output.select();
+                this.status.textContent = 'Press Ctrl+C (or Cmd+C) to copy the selected text.';
+            }
+        }
+    }
+    
+    // Site Stats Management
+    // The about page's numbers are worked out from index.html each visit, so they stay right as posts
+    // are added. Photos are filed in one folder per place (images/<place>/), which is what counts
+    // as a location.
+    const STATS_COUNT_DURATION = 1200;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    
+    class StatsManager {
+        constructor() {
+            this.container = document.getElementById('siteStats');
+            this.activity = document.getElementById('postingActivity');
+            this.init();
+        }
+        
+        async init() {
+            if (!this.container) return;
             
-            // Add success animation
-            placeholder.style.animation = 'pulse 0.6s ease';
-            setTimeout(() => {
-                placeholder.style.animation = '';
-            }, 600);
+            try {
+                const response = await fetch(new URL('index.html', SITE_ROOT).href);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+                const stats = this.compute(page);
+                
+                this.renderNumbers(stats);
+                if (this.activity) {
+                    this.renderActivity(stats);
+                }
+            } catch (error) {
+                // The rest of the about page reads fine without its numbers
+                console.error('Error loading site stats:', error);
+            }
         }
         
-        setupPhotoActions() {
-            const likeButtons = document.querySelectorAll('.photo-action-btn[aria-label*="Like"]');
-            const viewButtons = document.querySelectorAll('.photo-action-btn[aria-label*="View"]');
-            
-            likeButtons.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.handleLike(btn);
-                });
+        compute(page) {
+            const posts = Array.from(page.querySelectorAll('.blog-post'));
+            const photos = page.querySelectorAll('.blog-image img, .blog-image-half img');
+            const locations = new Set();
+            photos.forEach(img => {
+                const folder = (img.getAttribute('src') || '').match(/^(?:\.\.\/)?images\/([^/]+)\//);
+                if (folder) locations.add(decodeURIComponent(folder[1]));
             });
             
-            viewButtons.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.handleView(btn);
-                });
+            const categories = new Map();
+            const dates = [];
+            posts.forEach(post => {
+                const category = post.querySelector('.post-category');
+                const name = category ? category.textContent.trim() : '';
+                if (name) categories.set(name, (categories.get(name) || 0) + 1);
+                
+                const dateElement = post.querySelector('.post-date');
+                const date = dateElement ? parsePostDate(dateElement.textContent) : null;
+                if (date) dates.push(date);
             });
-        }
-        
-        handleLike(button) {
-            const photoItem = button.closest('.photo-item');
-            const likesElement = photoItem.querySelector('.photo-likes');
-            const currentLikes = parseInt(likesElement.textContent) || 0;
-            const newLikes = currentLikes + 1;
-            
-            likesElement.textContent = `${newLikes} likes`;
-            
-            // Add like animation
-            button.style.animation = 'heartBeat 0.6s ease';
-            setTimeout(() => {
-                button.style.animation = '';
-            }, 600);
+            dates.sort();
             
-            // Store likes in localStorage
-            const photoId = photoItem.querySelector('h3').textContent;
-            const likes = JSON.parse(localStorage.getItem('photoLikes') || '{}');
-            likes[photoId] = newLikes;
-            localStorage.setItem('photoLikes', JSON.stringify(likes));
+            return {
+                posts: posts.length,
+                photos: photos.length,
+                videos: page.querySelectorAll('.blog-post video').length,
+                locations: locations.size,
+                categories: Array.from(categories).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+                first: dates[0] || null,
+                latest: dates[dates.length - 1] || null,
+                streak: this.longestStreak(dates),
+                months: this.countByMonth(dates)
+            };
         }
         
-        handleView(button) {
-            const photoItem = button.closest('.photo-item');
-            const photoContainer = photoItem.querySelector('.photo-container');
-            const backgroundImage = photoContainer.style.backgroundImage;
+        // Most consecutive days with at least one post
+        longestStreak(dates) {
+            const days = Array.from(new Set(dates), date => Date.parse(date) / DAY_MS);
+            let longest = days.length ? 1 : 0;
+            let current = 1;
             
-            if (backgroundImage && backgroundImage !== 'none') {
-                // Create modal for full-size view
-                this.createPhotoModal(backgroundImage);
-            } else {
-                this.showError('No photo to view. Please upload a photo first.');
+            for (let i = 1; i < days.length; i++) {
+                current = days[i] - days[i - 1] === 1 ? current + 1 : 1;
+                longest = Math.max(longest, current);
             }
+            return longest;
         }
         
-        createPhotoModal(imageSrc) {
-            const modal = document.createElement('div');
-            modal.className = 'photo-modal';
-            modal.innerHTML = `
-                <div class="modal-backdrop">
-                    <div class="modal-content">
-                        <button class="modal-close" aria-label="Close modal">&times;</button>
-                        <img src="${imageSrc}" alt="Full size photo" class="modal-image">
-                    </div>
-                </div>
-            `;
-            
-            document.body.appendChild(modal);
-            
-            // Close modal functionality
-            const closeBtn = modal.querySelector('.modal-close');
-            const backdrop = modal.querySelector('.modal-backdrop');
-            
-            const closeModal = () => {
-                modal.style.animation = 'fadeOut 0.3s ease forwards';
-                setTimeout(() => {
-                    document.body.removeChild(modal);
-                }, 300);
-            };
+        // Every month from the first post to the latest, including quiet ones
+        countByMonth(dates) {
+            if (!dates.length) return [];
             
-            closeBtn.addEventListener('click', closeModal);
-            backdrop.addEventListener('click', closeModal);
+            const counts = new Map();
+            dates.forEach(date => counts.set(date.slice(0, 7), (counts.get(date.slice(0, 7)) || 0) + 1));
             
-            // Keyboard accessibility
-            modal.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    closeModal();
+            const months = [];
+            let [year, month] = dates[0].split('-').map(Number);
+            const [lastYear, lastMonth] = dates[dates.length - 1].split('-').map(Number);
+            while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+                const key = `${year}-${String(month).padStart(2, '0')}`;
+                months.push({ year, month, count: counts.get(key) || 0 });
+                month++;
+                if (month > 12) {
+                    month = 1;
+                    year++;
                 }
-            });
-            
-            modal.focus();
+            }
+            return months;
         }
         
-        showError(message) {
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'error-message';
-            errorDiv.textContent = message;
-            errorDiv.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: #ff4444;
-                color: white;
-                padding: 1rem 2rem;
-                border-radius: 8px;
-                z-index: 10000;
-                animation: slideInRight 0.3s ease;
-            `;
+        renderNumbers(stats) {
+            const items = [
+                [stats.posts, stats.posts === 1 ? 'Post' : 'Posts'],
+                [stats.photos, stats.photos === 1 ? 'Photo' : 'Photos'],
+                [stats.videos, stats.videos === 1 ? 'Video' : 'Videos'],
+                [stats.locations, stats.locations === 1 ? 'Location' : 'Locations'],
+                [stats.streak, 'Longest streak (days)']
+            ];
             
-            document.body.appendChild(errorDiv);
+            this.container.innerHTML = '';
+            const numbers = items.map(([value, label]) => {
+                const item = document.createElement('div');
+                item.className = 'stat-item';
+                
+                // Screen readers get the final figure; the counting copy is decoration
+                const number = document.createElement('span');
+                number.className = 'stat-number';
+                number.setAttribute('aria-hidden', 'true');
+                number.textContent = prefersReducedMotion() ? value : 0;
+                
+                const text = document.createElement('span');
+                text.className = 'stat-label';
+                text.textContent = label;
+                
+                const summary = document.createElement('span');
+                summary.className = 'visually-hidden';
+                summary.textContent = `${label}: ${value}`;
+                
+                item.append(number, text, summary);
+                this.container.appendChild(item);
+                return { element: number, value };
+            });
+            this.container.hidden = false;
             
-            setTimeout(() => {
-                errorDiv.style.animation = 'slideOutRight 0.3s ease forwards';
-                setTimeout(() => {
-                    document.body.removeChild(errorDiv);
-                }, 300);
-            }, 3000);
-        }
-    }
-    
-    // Navigation Management
-    class NavigationManager {
-        constructor() {
-            this.navLinks = document.querySelectorAll('.main-nav a[href^="#"]');
-            this.sections = document.querySelectorAll('section[id]');
-            this.init();
+            if (!prefersReducedMotion()) {
+                this.whenVisible(this.container, () => this.countUp(numbers));
+            }
         }
         
-        init() {
-            this.bindEvents();
-            this.setupScrollSpy();
+        whenVisible(element, callback) {
+            if (!('IntersectionObserver' in window)) {
+                callback();
+                return;
+            }
+            
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    observer.disconnect();
+                    callback();
+                }
+            }, { threshold: 0.2 });
+            observer.observe(element);
         }
         
-        bindEvents() {
-            this.navLinks.forEach(link => {
-                link.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const targetId = link.getAttribute('href');
-                    const targetSection = document.querySelector(targetId);
-                    
-                    if (targetSection) {
-                        targetSection.scrollIntoView({
-                            behavior: 'smooth',
-                            block: 'start'
-                        });
-                        
-                        // Update active state
-                        this.updateActiveLink(link);
-                    }
+        countUp(numbers) {
+            const start = performance.now();
+            
+            const step = (now) => {
+                // Ease out, and land on the real figures if motion is turned off midway
+                const progress = prefersReducedMotion() ? 1 : Math.min((now - start) / STATS_COUNT_DURATION, 1);
+                const eased = 1 - Math.pow(1 - progress, 3);
+                numbers.forEach(({ element, value }) => {
+                    element.textContent = Math.round(value * eased);
                 });
-            });
+                if (progress < 1) requestAnimationFrame(step);
+            };
+            requestAnimationFrame(step);
         }
         
-        setupScrollSpy() {
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const sectionId = entry.target.id;
-                        const correspondingLink = document.querySelector(`.main-nav a[href="#${sectionId}"]`);
-                        if (correspondingLink) {
-                            this.updateActiveLink(correspondingLink);
-                        }
-                    }
+        renderActivity(stats) {
+            if (!stats.months.length) return;
+            
+            const range = this.activity.querySelector('.activity-range');
+            if (range) {
+                range.textContent = stats.first === stats.latest
+                    ? `First and latest post: ${formatPostDate(stats.first)}`
+                    : `First post ${formatPostDate(stats.first)} · latest ${formatPostDate(stats.latest)}`;
+            }
+            
+            const chart = this.activity.querySelector('.activity-chart');
+            if (chart) {
+                chart.appendChild(this.createChart(stats.months));
+            }
+            
+            const list = this.activity.querySelector('.category-stats');
+            if (list) {
+                const most = stats.categories.length ? stats.categories[0][1] : 1;
+                stats.categories.forEach(([name, count]) => {
+                    const item = document.createElement('li');
+                    item.className = 'category-stat';
+                    item.style.setProperty('--share', `${Math.round(count / most * 100)}%`);
+                    
+                    const label = document.createElement('span');
+                    label.className = 'category-stat-name';
+                    label.textContent = name;
+                    const value = document.createElement('span');
+                    value.className = 'category-stat-count';
+                    value.textContent = `${count} ${count === 1 ? 'post' : 'posts'}`;
+                    
+                    item.append(label, value);
+                    list.appendChild(item);
                 });
-            }, {
-                threshold: 0.3,
-                rootMargin: '-50px 0px -50px 0px'
-            });
+            }
             
-            this.sections.forEach(section => {
-                observer.observe(section);
-            });
+            this.activity.hidden = false;
         }
         
-        updateActiveLink(activeLink) {
-            this.navLinks.forEach(link => {
-                link.classList.remove('active');
-                link.removeAttribute('aria-current');
+        // Plain SVG bar chart, one bar per month; each bar has a <title> for its tooltip
+        createChart(months) {
+            const svgNS = 'http://www.w3.org/2000/svg';
+            const width = 600;
+            const height = 160;
+            const top = 20;
+            const bottom = 30;
+            const slot = width / months.length;
+            const barWidth = Math.max(Math.min(slot * 0.7, 48), 2);
+            const most = Math.max(...months.map(entry => entry.count), 1);
+            // Label every month when there is room, otherwise just Januaries and the first month
+            const labelAll = slot >= 36;
+            
+            const create = (tag, attributes, text) => {
+                const element = document.createElementNS(svgNS, tag);
+                Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+                if (text !== undefined) element.textContent = text;
+                return element;
+            };
+            
+            const total = months.reduce((sum, entry) => sum + entry.count, 0);
+            const svg = create('svg', {
+                viewBox: `0 0 ${width} ${height}`,
+                class: 'activity-svg',
+                role: 'img',
+                'aria-label': `Posts per month: ${total} ${total === 1 ? 'post' : 'posts'} over ${months.length} ${months.length === 1 ? 'month' : 'months'}, at most ${most} in one month`
             });
+            svg.appendChild(create('line', { x1: 0, y1: height - bottom, x2: width, y2: height - bottom, class: 'activity-axis' }));
             
-            activeLink.classList.add('active');
-            activeLink.setAttribute('aria-current', 'page');
+            months.forEach((entry, i) => {
+                const x = i * slot + (slot - barWidth) / 2;
+                const barHeight = entry.count ? Math.max((entry.count / most) * (height - top - bottom), 2) : 0;
+                const name = `${MONTH_NAMES[entry.month - 1]} ${entry.year}`;
+                
+                const group = create('g', { class: 'activity-month' });
+                group.appendChild(create('title', {}, `${name}: ${entry.count} ${entry.count === 1 ? 'post' : 'posts'}`));
+                // A full-height hit area keeps the tooltip reachable on empty months
+                group.appendChild(create('rect', { x: i * slot, y: top, width: slot, height: height - top - bottom, class: 'activity-hit' }));
+                if (barHeight) {
+                    group.appendChild(create('rect', { x, y: height - bottom - barHeight, width: barWidth, height: barHeight, rx: 3, class: 'activity-bar' }));
+                    group.appendChild(create('text', { x: x + barWidth / 2, y: height - bottom - barHeight - 6, class: 'activity-count' }, entry.count));
+                }
+                if (labelAll || entry.month === 1 || i === 0) {
+                    const label = labelAll ? MONTH_NAMES[entry.month - 1].slice(0, 3) : String(entry.year);
+                    group.appendChild(create('text', { x: i * slot + slot / 2, y: height - bottom + 16, class: 'activity-label' }, label));
+                    if (labelAll && (entry.month === 1 || i === 0)) {
+                        group.appendChild(create('text', { x: i * slot + slot / 2, y: height - 2, class: 'activity-label' }, entry.year));
+                    }
+                }
+                svg.appendChild(group);
+            });
+            
+            return svg;
         }
     }
     
     // Animation Manager
+    const SCROLL_REVEAL_TIMEOUT = 2000;
+    
     class AnimationManager {
         constructor() {
             this.init();
@@ -426,34 +5198,62 @@
             this.addCustomAnimations();
         }
         
+        // Content is only hidden when something is sure to bring it back:
+        // never with reduced motion, never for what is already on screen, and never for longer
+        // than SCROLL_REVEAL_TIMEOUT if the observer doesn't report (or doesn't exist)
         setupScrollAnimations() {
+            if (prefersReducedMotion() || !('IntersectionObserver' in window)) return;
+            
             const observerOptions = {
                 threshold: 0.1,
                 rootMargin: '0px 0px -50px 0px'
             };
             
+            const reveal = (el) => {
+                el.style.opacity = '1';
+                el.style.transform = 'translateY(0)';
+            };
+            
+            let observerReported = false;
             const observer = new IntersectionObserver((entries) => {
+                observerReported = true;
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
-                        entry.target.style.opacity = '1';
-                        entry.target.style.transform = 'translateY(0)';
+                        reveal(entry.target);
+                        observer.unobserve(entry.target);
                     }
                 });
             }, observerOptions);
             
-            const animatedElements = document.querySelectorAll('.photo-item, .blog-post, .about-content, .contact-content');
-            animatedElements.forEach(el => {
+            const hiddenElements = Array.from(document.querySelectorAll('.photo-item, .blog-post, .about-content, .contact-content'))
+                .filter(el => el.getBoundingClientRect().top > window.innerHeight);
+            hiddenElements.forEach(el => {
                 el.style.opacity = '0';
                 el.style.transform = 'translateY(20px)';
                 el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
                 observer.observe(el);
             });
+            
+            const revealAll = () => {
+                observer.disconnect();
+                hiddenElements.forEach(reveal);
+            };
+            
+            // The observer reports every target once right after observe(); silence means it never will
+            setTimeout(() => {
+                if (!observerReported) revealAll();
+            }, SCROLL_REVEAL_TIMEOUT);
+            window.addEventListener('beforeprint', revealAll);
+            document.addEventListener('motionchange', (e) => {
+                if (e.detail.reduced) revealAll();
+            });
         }
         
         setupHoverEffects() {
             const photoPlaceholders = document.querySelectorAll('.photo-placeholder');
             photoPlaceholders.forEach(placeholder => {
                 placeholder.addEventListener('mouseenter', function() {
+                    if (prefersReducedMotion()) return;
                     this.style.transform = 'scale(1.02)';
                 });
                 
@@ -522,11 +5322,26 @@
                     }
                 }
                 
+                @keyframes fadeIn {
+                    from { opacity: 0; }
+                    to { opacity: 1; }
+                }
+                
                 @keyframes fadeOut {
                     from { opacity: 1; }
                     to { opacity: 0; }
                 }
                 
+                @keyframes kenBurns {
+                    from { transform: scale(1) translate(0, 0); }
+                    to { transform: scale(1.12) translate(-2%, -1%); }
+                }
+                
+                @keyframes kenBurnsReverse {
+                    from { transform: scale(1.12) translate(2%, 1%); }
+                    to { transform: scale(1) translate(0, 0); }
+                }
+                
                 .photo-modal {
                     position: fixed;
                     top: 0;
@@ -555,13 +5370,69 @@
                     max-height: 90vh;
                 }
                 
+                .modal-figure {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                }
+                
                 .modal-image {
-                    width: 100%;
-                    height: 100%;
+                    max-width: 90vw;
+                    max-height: 80vh;
                     object-fit: contain;
                     border-radius: 8px;
                 }
                 
+                .modal-video {
+                    max-width: 90vw;
+                    max-height: 80vh;
+                    border-radius: 8px;
+                    background: #000;
+                }
+                
+                .modal-caption {
+                    color: rgba(255, 255, 255, 0.85);
+                    font-style: italic;
+                    text-align: center;
+                    margin-top: 0.75rem;
+                }
+                
+                .modal-counter {
+                    color: rgba(255, 255, 255, 0.6);
+                    font-size: 0.85rem;
+                    text-align: center;
+                    margin-top: 0.25rem;
+                }
+                
+                .modal-nav {
+                    position: fixed;
+                    top: 50%;
+                    transform: translateY(-50%);
+                    background: rgba(255, 255, 255, 0.2);
+                    border: none;
+                    color: white;
+                    font-size: 2.5rem;
+                    width: 48px;
+                    height: 48px;
+                    border-radius: 50%;
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                
+                .modal-nav:hover {
+                    background: rgba(255, 255, 255, 0.3);
+                }
+                
+                .modal-prev {
+                    left: 20px;
+                }
+                
+                .modal-next {
+                    right: 20px;
+                }
+                
                 .modal-close {
                     position: absolute;
                     top: -40px;
@@ -589,29 +5460,43 @@
     
     // Typing Animation for Subtitle
     class TypingAnimation {
-        constructor() {
+        // config.delay: ms before typing starts; config.speed: ms per character
+        constructor(config = {}) {
             this.subtitle = document.querySelector('.site-subtitle');
+            this.delay = config.delay >= 0 ? config.delay : 1000;
+            this.speed = config.speed > 0 ? config.speed : 100;
             this.init();
         }
         
         init() {
-            if (this.subtitle) {
-                const text = this.subtitle.textContent;
+            if (this.subtitle && !prefersReducedMotion()) {
+                const text = this.subtitle.textContent.trim();
+                
+                // Screen readers get the whole subtitle at once; the typed copy is decoration
+                const fullText = document.createElement('span');
+                fullText.className = 'visually-hidden';
+                fullText.textContent = text;
+                const typed = document.createElement('span');
+                typed.setAttribute('aria-hidden', 'true');
+                
                 this.subtitle.textContent = '';
+                this.subtitle.append(fullText, typed);
                 this.subtitle.style.borderRight = '2px solid var(--accent-primary-current)';
                 
                 let i = 0;
                 const typeWriter = () => {
-                    if (i < text.length) {
-                        this.subtitle.textContent += text.charAt(i);
+                    // Finish straight away if the reader turns motion off midway
+                    if (i < text.length && !prefersReducedMotion()) {
+                        typed.textContent += text.charAt(i);
                         i++;
-                        setTimeout(typeWriter, 100);
+                        setTimeout(typeWriter, this.speed);
                     } else {
+                        typed.textContent = text;
                         this.subtitle.style.borderRight = 'none';
                     }
                 };
                 
-                setTimeout(typeWriter, 1000);
+                setTimeout(typeWriter, this.delay);
             }
         }
     }
@@ -628,40 +5513,51 @@
         }
         
         setupLazyLoading() {
-            const images = document.querySelectorAll('img[data-src]');
+            if (!('IntersectionObserver' in window)) return;
+            
+            // Legacy markup: real sources held in data-src/data-srcset until needed
+            const deferredImages = document.querySelectorAll('img[data-src]');
             const imageObserver = new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
                         const img = entry.target;
+                        if (img.dataset.srcset) {
+                            img.srcset = img.dataset.srcset;
+                        }
                         img.src = img.dataset.src;
                         img.classList.remove('lazy');
                         imageObserver.unobserve(img);
                     }
                 });
-            });
+            }, { rootMargin: '200px 0px' });
             
-            images.forEach(img => imageObserver.observe(img));
+            deferredImages.forEach(img => imageObserver.observe(img));
+            
+            // Images below the fold are built with loading="lazy". Start them a screen ahead
+            // of the reader rather than relying on each browser's own threshold.
+            const lazyImages = document.querySelectorAll('img[loading="lazy"]');
+            const prefetchObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.loading = 'eager';
+                        prefetchObserver.unobserve(entry.target);
+                    }
+                });
+            }, { rootMargin: '100% 0px' });
+            
+            lazyImages.forEach(img => {
+                // Photos with a color placeholder are revealed by PhotoColorManager instead
+                if (!img.complete && !img.style.getPropertyValue('--photo-color')) {
+                    img.classList.add('lazy');
+                    img.addEventListener('load', () => img.classList.remove('lazy'), { once: true });
+                }
+                prefetchObserver.observe(img);
+            });
         }
         
         optimizeImages() {
-            // Add image optimization for uploaded photos
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            window.optimizeImage = function(file, maxWidth = 1200, quality = 0.8) {
-                return new Promise((resolve) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        const ratio = Math.min(maxWidth / img.width, maxWidth / img.height);
-                        canvas.width = img.width * ratio;
-                        canvas.height = img.height * ratio;
-                        
-                        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-                        canvas.toBlob(resolve, 'image/jpeg', quality);
-                    };
-                    img.src = URL.createObjectURL(file);
-                });
-            };
+            // Kept for scripts that call the canvas resizer directly
+            window.optimizeImage = resizeImage;
         }
     }
     
@@ -676,34 +5572,37 @@
         });
     }
 
-    // Initialize all managers when DOM is loaded
+    // Built-in managers, in start order. A selector skips the manager on pages without that markup.
+    ShutterThoughts
+        .register('theme', () => new ThemeManager())
+        .register('motion', () => new MotionManager())
+        .register('pagination', config => new PaginationManager(config), { selector: '.blog-posts' })
+        .register('gallery', () => new GalleryManager(), { selector: '.photo-item, .blog-post' })
+        .register('photoColors', () => new PhotoColorManager(), { selector: PHOTO_COLOR_SELECTOR })
+        .register('slideshow', () => new SlideshowManager(), { selector: '.blog-post' })
+        .register('video', () => new VideoManager(), { selector: '.blog-post video' })
+        .register('navigation', () => new NavigationManager())
+        .register('search', () => new SearchManager(), { selector: '.blog-post' })
+        .register('exif', () => new ExifManager(), { selector: '.blog-image img, .blog-image-half img' })
+        .register('likes', () => new LikesManager(), { selector: '.blog-image img, .blog-image-half img' })
+        .register('share', () => new ShareManager(), { selector: '.blog-post' })
+        // After likes, shot details and share buttons, which find their place from the photo's caption
+        .register('compare', () => new CompareManager(), { selector: COMPARE_SELECTOR })
+        .register('photoBook', () => new PhotoBookManager(), { selector: '.blog-post' })
+        .register('comments', () => new CommentsManager(), { selector: '.blog-post[data-post-id]' })
+        .register('moderation', () => new ModerationManager(), { selector: '#moderationQueue' })
+        .register('upload', () => new UploadManager(), { selector: '#photoUploader' })
+        .register('composer', () => new ComposerManager(), { selector: '#composer' })
+        .register('stats', () => new StatsManager(), { selector: '#siteStats' })
+        .register('animation', () => new AnimationManager())
+        .register('typing', config => new TypingAnimation(config), { selector: '.site-subtitle' })
+        .register('performance', () => new PerformanceManager());
+    
+    // Start everything once the DOM is loaded
     document.addEventListener('DOMContentLoaded', function() {
-        try {
-            // Update current year first
-            updateCurrentYear();
-            
-            new ThemeManager();
-            new GalleryManager();
-            new NavigationManager();
-            new AnimationManager();
-            new TypingAnimation();
-            new PerformanceManager();
-            
-            // Load saved likes
-            const savedLikes = JSON.parse(localStorage.getItem('photoLikes') || '{}');
-            Object.entries(savedLikes).forEach(([photoTitle, likes]) => {
-                const photoItem = Array.from(document.querySelectorAll('.photo-item')).find(item => 
-                    item.querySelector('h3').textContent === photoTitle
-                );
-                if (photoItem) {
-                    const likesElement = photoItem.querySelector('.photo-likes');
-                    likesElement.textContent = `${likes} likes`;
-                }
-            });
-            
-        } catch (error) {
-            console.error('Error initializing application:', error);
-        }
+        updateCurrentYear();
+        getToastRegion();
+        ShutterThoughts.startAll();
     });
     
     // Error handling for unhandled errors
@@ -711,10 +5610,64 @@
         console.error('Unhandled error:', e.error);
     });
     
-    // Service Worker registration for offline functionality (optional)
+    // "New posts available" notice shown when an updated service worker is waiting
+    function showUpdateNotice(worker, onRefresh) {
+        if (document.querySelector('.update-notice')) return;
+        
+        const notice = document.createElement('div');
+        notice.className = 'update-notice';
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = `
+            <span>New posts available.</span>
+            <button type="button" class="update-refresh">Refresh</button>
+            <button type="button" class="update-dismiss" aria-label="Dismiss">&times;</button>
+        `;
+        
+        notice.querySelector('.update-refresh').addEventListener('click', () => {
+            onRefresh();
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        notice.querySelector('.update-dismiss').addEventListener('click', () => notice.remove());
+        
+        document.body.appendChild(notice);
+    }
+    
+    // Service Worker registration for offline reading
     if ('serviceWorker' in navigator) {
+        // sw.js sits next to script.js at the site root, also when loaded from posts/
+        const serviceWorkerUrl = new URL('sw.js', SITE_ROOT);
+        let refreshRequested = false;
+        
         window.addEventListener('load', function() {
-            // Service worker would be implemented here for offline functionality
+            navigator.serviceWorker.register(serviceWorkerUrl.href).then(registration => {
+                const promptForRefresh = (worker) => showUpdateNotice(worker, () => {
+                    refreshRequested = true;
+                });
+                
+                // An update that finished installing during an earlier visit
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    promptForRefresh(registration.waiting);
+                }
+                
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        // The very first install has nothing to refresh
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            promptForRefresh(worker);
+                        }
+                    });
+                });
+            }).catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+            
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (refreshRequested) {
+                    refreshRequested = false;
+                    window.location.reload();
+                }
+            });
         });
     }
     
@@ -0,0 +1,184 @@
+// Comments API
+//   GET    /api/comments?post=slug                   -> { comments: [...] }  approved comments only
+//   POST   /api/comments { post, name, body, website } -> 202 { status: 'pending' }
+//   GET    /api/comments/moderation?status=pending   -> { comments: [...] }  owner only
+//   PATCH  /api/comments/moderation { id, status }    -> { comment }          approve or hide
+//   DELETE /api/comments/moderation?id=...            -> { deleted: id }
+// Moderation needs "Authorization: Bearer <OWNER_TOKEN>"; without the variable it is switched off.
+// Comment text is stored exactly as written; pages render it through an allowlist sanitizer.
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./lib/json-store');
+const { HttpError, sendJson, readJson, requireOwner } = require('./lib/http');
+
+const POST_PATTERN = /^[a-z0-9-]{1,100}$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_BODY_LENGTH = 2000;
+const STATUSES = ['pending', 'approved', 'hidden'];
+
+// Per address: at most RATE_LIMIT comments in RATE_WINDOW
+const RATE_LIMIT = 5;
+const RATE_WINDOW = 10 * 60 * 1000;
+
+// Drop control characters other than newlines and tabs
+function cleanText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+        .trim();
+}
+
+function publicComment(comment) {
+    return {
+        id: comment.id,
+        name: comment.name,
+        body: comment.body,
+        createdAt: comment.createdAt
+    };
+}
+
+function createCommentsRoutes(dataDir, options = {}) {
+    const ownerToken = options.ownerToken || '';
+    const store = new JsonStore(path.join(dataDir, 'comments.json'), []);
+    const recentPosts = new Map();
+
+    // Forget every address whose comments are all older than the window, so the map
+    // only holds addresses that posted recently
+    function pruneRecentPosts(now) {
+        recentPosts.forEach((times, address) => {
+            const recent = times.filter(time => now - time < RATE_WINDOW);
+            if (recent.length) {
+                recentPosts.set(address, recent);
+            } else {
+                recentPosts.delete(address);
+            }
+        });
+    }
+
+    function isRateLimited(address) {
+        const now = Date.now();
+        pruneRecentPosts(now);
+        const times = recentPosts.get(address) || [];
+
+        if (times.length >= RATE_LIMIT) {
+            return true;
+        }
+
+        times.push(now);
+        recentPosts.set(address, times);
+        return false;
+    }
+
+    async function handleComments(req, res, url) {
+        if (req.method === 'GET') {
+            const post = url.searchParams.get('post') || '';
+            if (!POST_PATTERN.test(post)) {
+                throw new HttpError(400, 'Invalid post id');
+            }
+
+            const comments = store.read()
+                .filter(comment => comment.post === post && comment.status === 'approved')
+                .map(publicComment);
+            return sendJson(res, 200, { comments });
+        }
+
+        if (req.method === 'POST') {
+            const input = await readJson(req);
+
+            // Honeypot: people never see the "website" field, so only bots fill it in.
+            // Answer as if it worked so they don't learn to skip it.
+            if (input.website) {
+                return sendJson(res, 202, { status: 'pending' });
+            }
+
+            const post = typeof input.post === 'string' ? input.post : '';
+            if (!POST_PATTERN.test(post)) {
+                throw new HttpError(400, 'Invalid post id');
+            }
+            if (typeof input.name !== 'string' || typeof input.body !== 'string') {
+                throw new HttpError(400, 'Please fill in your name and a comment');
+            }
+
+            const name = cleanText(input.name);
+            const body = cleanText(input.body);
+            if (!name || !body) {
+                throw new HttpError(400, 'Please fill in your name and a comment');
+            }
+            if (name.length > MAX_NAME_LENGTH) {
+                throw new HttpError(400, `Names can be at most ${MAX_NAME_LENGTH} characters`);
+            }
+            if (body.length > MAX_BODY_LENGTH) {
+                throw new HttpError(400, `Comments can be at most ${MAX_BODY_LENGTH} characters`);
+            }
+            if (isRateLimited(req.socket.remoteAddress)) {
+                throw new HttpError(429, 'Too many comments. Please wait a few minutes and try again.');
+            }
+
+            await store.update(comments => {
+                comments.push({
+                    id: crypto.randomUUID(),
+                    post,
+                    name,
+                    body,
+                    status: 'pending',
+                    createdAt: new Date().toISOString()
+                });
+            });
+
+            return sendJson(res, 202, { status: 'pending' });
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    async function handleModeration(req, res, url) {
+        requireOwner(req, ownerToken);
+
+        if (req.method === 'GET') {
+            const status = url.searchParams.get('status');
+            const comments = store.read()
+                .filter(comment => !status || comment.status === status)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            return sendJson(res, 200, { comments });
+        }
+
+        if (req.method === 'PATCH') {
+            const { id, status } = await readJson(req);
+            if (!STATUSES.includes(status)) {
+                throw new HttpError(400, `Status must be one of: ${STATUSES.join(', ')}`);
+            }
+
+            const comment = store.read().find(item => item.id === id);
+            if (!comment) {
+                throw new HttpError(404, 'Comment not found');
+            }
+
+            await store.update(() => {
+                comment.status = status;
+            });
+            return sendJson(res, 200, { comment });
+        }
+
+        if (req.method === 'DELETE') {
+            const id = url.searchParams.get('id');
+            if (!store.read().some(comment => comment.id === id)) {
+                throw new HttpError(404, 'Comment not found');
+            }
+
+            await store.update(comments => comments.filter(comment => comment.id !== id));
+            return sendJson(res, 200, { deleted: id });
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    return {
+        '/api/comments': handleComments,
+        '/api/comments/moderation': handleModeration
+    };
+}
+
+module.exports = createCommentsRoutes;
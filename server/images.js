@@ -0,0 +1,114 @@
+// Images API
+//   GET  /api/images                             -> { folders: [{ name, images: ['images/Folder/a.jpg', ...] }] }
+//   POST /api/images?folder=Folder&name=a.jpg    -> 201 { src: 'images/Folder/a.jpg' }   owner only
+// Uploads are the raw file bytes (Content-Type image/jpeg, image/png, image/gif or image/webp).
+// They are saved under images/<folder>/, never overwriting an existing photo.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendJson, readBody, requireOwner } = require('./lib/http');
+
+const MAX_UPLOAD_SIZE = 15 * 1024 * 1024;
+const FOLDER_PATTERN = /^[\w][\w .-]{0,63}$/;
+const SKIPPED_FOLDERS = ['generated'];
+const LISTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4'];
+
+// The first bytes of each accepted format, so a renamed file can't slip through
+const IMAGE_TYPES = {
+    'image/jpeg': { extension: '.jpg', signature: [0xFF, 0xD8, 0xFF] },
+    'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4E, 0x47] },
+    'image/gif': { extension: '.gif', signature: [0x47, 0x49, 0x46, 0x38] },
+    'image/webp': { extension: '.webp', signature: [0x52, 0x49, 0x46, 0x46], offset8: 'WEBP' }
+};
+
+function matchesSignature(buffer, type) {
+    if (!type.signature.every((byte, i) => buffer[i] === byte)) return false;
+    return !type.offset8 || buffer.toString('ascii', 8, 12) === type.offset8;
+}
+
+function safeFileName(name, extension) {
+    const base = path.basename(String(name || 'photo'), path.extname(String(name || '')))
+        .replace(/[^\w.-]+/g, '-')
+        .replace(/^[-.]+|-+$/g, '')
+        .slice(0, 80);
+    return (base || 'photo') + extension;
+}
+
+// photo.jpg, photo-1.jpg, photo-2.jpg, ...
+function availablePath(dir, fileName) {
+    const extension = path.extname(fileName);
+    const base = path.basename(fileName, extension);
+    let candidate = path.join(dir, fileName);
+
+    for (let i = 1; fs.existsSync(candidate); i++) {
+        candidate = path.join(dir, `${base}-${i}${extension}`);
+    }
+    return candidate;
+}
+
+function createImagesRoutes(root, options = {}) {
+    const ownerToken = options.ownerToken || '';
+    const imagesDir = path.join(root, 'images');
+
+    function toSitePath(filePath) {
+        return path.relative(root, filePath).split(path.sep).join('/');
+    }
+
+    function listFolders() {
+        if (!fs.existsSync(imagesDir)) return [];
+
+        return fs.readdirSync(imagesDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_FOLDERS.includes(entry.name))
+            .map(entry => ({
+                name: entry.name,
+                images: fs.readdirSync(path.join(imagesDir, entry.name))
+                    .filter(file => LISTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+                    .sort()
+                    .map(file => toSitePath(path.join(imagesDir, entry.name, file)))
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async function handle(req, res, url) {
+        if (req.method === 'GET') {
+            return sendJson(res, 200, { folders: listFolders() });
+        }
+
+        if (req.method === 'POST') {
+            requireOwner(req, ownerToken);
+
+            const folder = (url.searchParams.get('folder') || '').trim();
+            if (!FOLDER_PATTERN.test(folder) || SKIPPED_FOLDERS.includes(folder)) {
+                throw new HttpError(400, 'Choose a post folder (letters, numbers, spaces, dots and dashes)');
+            }
+
+            const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const type = IMAGE_TYPES[contentType];
+            if (!type) {
+                throw new HttpError(415, 'Only JPEG, PNG, GIF and WebP images can be uploaded');
+            }
+
+            const body = await readBody(req, MAX_UPLOAD_SIZE);
+            if (!matchesSignature(body, type)) {
+                throw new HttpError(400, `The file is not a valid ${contentType.replace('image/', '').toUpperCase()} image`);
+            }
+
+            const dir = path.join(imagesDir, folder);
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            // "wx" fails instead of overwriting if another upload claimed the name in the meantime
+            const target = availablePath(dir, safeFileName(url.searchParams.get('name'), type.extension));
+            await fs.promises.writeFile(target, body, { flag: 'wx' });
+
+            return sendJson(res, 201, { src: toSitePath(target) });
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    return { '/api/images': handle };
+}
+
+module.exports = createImagesRoutes;
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Local server for the blog: serves the static site plus the small JSON APIs under /api/.
+// No dependencies; data is kept in JSON files under data/ (override with DATA_DIR).
+// Usage: node server/index.js   (PORT defaults to 3000)
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { HttpError, sendJson } = require('./lib/http');
+const createCommentsRoutes = require('./comments');
+const createImagesRoutes = require('./images');
+const createLikesRoutes = require('./likes');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT, 'data'));
+const PORT = Number(process.env.PORT) || 3000;
+// Set when the pages are hosted elsewhere (e.g. GitHub Pages) and only the API runs here
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Only the site itself is served: never the server's code, its data, tooling, node_modules or
+// dot-files. Names are matched exactly, so on a case-insensitive disk /Data/ is refused too.
+const PUBLIC_FILES = ['styles.css', 'script.js', 'sanitize.js', 'sw.js', 'feed.xml', 'atom.xml'];
+const PUBLIC_DIRS = ['images', 'posts', 'tags'];
+
+function isPublicPath(relative) {
+    const segments = relative.split(path.sep);
+    if (segments.some(segment => !segment || segment.startsWith('.'))) return false;
+
+    if (segments.length === 1) {
+        return PUBLIC_FILES.includes(segments[0]) || /^[\w-]+\.html$/.test(segments[0]);
+    }
+    return PUBLIC_DIRS.includes(segments[0]);
+}
+
+// Unlocks comment moderation and photo uploads
+const OWNER_TOKEN = process.env.OWNER_TOKEN || '';
+
+const routes = {
+    ...createLikesRoutes(DATA_DIR),
+    ...createCommentsRoutes(DATA_DIR, { ownerToken: OWNER_TOKEN }),
+    ...createImagesRoutes(ROOT, { ownerToken: OWNER_TOKEN })
+};
+
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Bad path');
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+
+    const filePath = path.join(ROOT, path.normalize(pathname));
+    const relative = path.relative(ROOT, filePath);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative) || !isPublicPath(relative)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        const headers = {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Accept-Ranges': 'bytes'
+        };
+
+        // Videos and the EXIF reader ask for byte ranges
+        const range = req.headers.range && req.headers.range.match(/^bytes=(\d*)-(\d*)$/);
+        if (range && (range[1] || range[2])) {
+            const start = range[1] ? Number(range[1]) : Math.max(stats.size - Number(range[2]), 0);
+            const end = range[1] && range[2] ? Math.min(Number(range[2]), stats.size - 1) : stats.size - 1;
+
+            if (start > end || start >= stats.size) {
+                res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+                res.end();
+                return;
+            }
+
+            headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+            headers['Content-Length'] = end - start + 1;
+            res.writeHead(206, headers);
+            if (req.method === 'HEAD') return res.end();
+            fs.createReadStream(filePath, { start, end }).pipe(res);
+            return;
+        }
+
+        res.writeHead(200, headers);
+        if (req.method === 'HEAD') return res.end();
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname.startsWith('/api/')) {
+        if (CORS_ORIGIN) {
+            res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+        }
+
+        const route = routes[url.pathname.replace(/\/+$/, '')];
+        if (!route) {
+            throw new HttpError(404, 'Unknown API endpoint');
+        }
+        await route(req, res, url);
+        return;
+    }
+
+    serveStatic(req, res, url);
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        const status = error.status || 500;
+        if (status === 500) {
+            console.error(error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+        }
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Shutter Thoughts running at http://localhost:${PORT}/ (data in ${path.relative(ROOT, DATA_DIR) || '.'})`);
+    });
+}
+
+// The tests start it on a free port
+module.exports = server;
@@ -0,0 +1,104 @@
+// Small request/response helpers shared by the API routes
+
+'use strict';
+
+const crypto = require('crypto');
+
+const MAX_JSON_BODY = 16 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+}
+
+/**
+ * Read a whole request body.
+ * @param {http.IncomingMessage} req
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body. Every route expects an object, so anything else
+ * (null, a number, an array) is rejected here rather than failing later as a 500.
+ * @param {http.IncomingMessage} req
+ * @param {number} [limit] - Maximum body size in bytes
+ * @returns {Promise<Object>}
+ */
+async function readJson(req, limit = MAX_JSON_BODY) {
+    const body = await readBody(req, limit);
+    if (!body.length) return {};
+
+    let data;
+    try {
+        data = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return data;
+}
+
+/**
+ * Reject the request unless it carries "Authorization: Bearer <OWNER_TOKEN>".
+ * Owner-only endpoints are switched off entirely when no token is configured.
+ * @param {http.IncomingMessage} req
+ * @param {string} ownerToken
+ */
+function requireOwner(req, ownerToken) {
+    if (!ownerToken) {
+        throw new HttpError(403, 'Owner tools are disabled. Start the server with OWNER_TOKEN set.');
+    }
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    // Compare fixed-length digests so the check takes the same time for any guess
+    const expected = crypto.createHash('sha256').update(ownerToken).digest();
+    const given = crypto.createHash('sha256').update(token).digest();
+    if (!token || !crypto.timingSafeEqual(expected, given)) {
+        throw new HttpError(401, 'Owner token required');
+    }
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    readBody,
+    readJson,
+    requireOwner
+};
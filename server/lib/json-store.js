@@ -0,0 +1,54 @@
+// JSON file storage for the local server
+// Keeps the data in memory and writes it back atomically, one write at a time.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+    /**
+     * @param {string} filePath - Where the JSON is kept; created on first write
+     * @param {*} initialValue - Used when the file doesn't exist yet
+     */
+    constructor(filePath, initialValue) {
+        this.filePath = filePath;
+        this.data = initialValue;
+        this.pending = Promise.resolve();
+
+        if (fs.existsSync(filePath)) {
+            this.data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    }
+
+    read() {
+        return this.data;
+    }
+
+    /**
+     * Apply a change and persist it. Writes are queued so concurrent requests can't interleave.
+     * @param {Function} mutate - Receives the data; may modify it in place or return a replacement
+     * @returns {Promise<*>} Resolves with the saved data, or rejects if this write failed
+     */
+    update(mutate) {
+        const result = mutate(this.data);
+        if (result !== undefined) {
+            this.data = result;
+        }
+
+        const snapshot = JSON.stringify(this.data, null, 2) + '\n';
+        const write = this.pending.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        // The caller hears about a failed write; the queue carries on so the next write still runs
+        this.pending = write.catch(() => {});
+
+        return write.then(() => this.data);
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,85 @@
+// Likes API
+//   GET  /api/likes?ids=a,b           -> { counts: { a: 3, b: 0 } }
+//   POST /api/likes { id, visitor, liked } -> { id, count, liked }
+// Each visitor counts once per photo, so repeated clicks can't inflate a count.
+
+'use strict';
+
+const path = require('path');
+const JsonStore = require('./lib/json-store');
+const { HttpError, sendJson, readJson } = require('./lib/http');
+
+const ID_PATTERN = /^[\w .\/-]{1,200}$/;
+const VISITOR_PATTERN = /^[\w-]{8,64}$/;
+const MAX_IDS_PER_REQUEST = 200;
+// Ids that would reach Object.prototype instead of a photo: __proto__, constructor, toString...
+const RESERVED_IDS = Object.getOwnPropertyNames(Object.prototype);
+
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id) && !RESERVED_IDS.includes(id);
+}
+
+function createLikesRoutes(dataDir) {
+    // { [photoId]: [visitorId, ...] }
+    const store = new JsonStore(path.join(dataDir, 'likes.json'), {});
+
+    function visitorsOf(data, id) {
+        return Object.prototype.hasOwnProperty.call(data, id) ? data[id] : [];
+    }
+
+    function count(id) {
+        return visitorsOf(store.read(), id).length;
+    }
+
+    async function handle(req, res, url) {
+        if (req.method === 'GET') {
+            const ids = (url.searchParams.get('ids') || '')
+                .split(',')
+                .filter(isValidId)
+                .slice(0, MAX_IDS_PER_REQUEST);
+
+            const counts = {};
+            ids.forEach(id => {
+                counts[id] = count(id);
+            });
+            return sendJson(res, 200, { counts });
+        }
+
+        if (req.method === 'POST') {
+            const { id, visitor, liked } = await readJson(req);
+
+            if (!isValidId(id) || !id.trim()) {
+                throw new HttpError(400, 'Invalid photo id');
+            }
+            if (typeof visitor !== 'string' || !VISITOR_PATTERN.test(visitor)) {
+                throw new HttpError(400, 'Invalid visitor id');
+            }
+            if (typeof liked !== 'boolean') {
+                throw new HttpError(400, '"liked" must be true or false');
+            }
+
+            await store.update(data => {
+                const visitors = new Set(visitorsOf(data, id));
+                if (liked) {
+                    visitors.add(visitor);
+                } else {
+                    visitors.delete(visitor);
+                }
+
+                if (visitors.size) {
+                    data[id] = Array.from(visitors);
+                } else {
+                    delete data[id];
+                }
+            });
+
+            return sendJson(res, 200, { id, count: count(id), liked });
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    return { '/api/likes': handle };
+}
+
+module.exports = createLikesRoutes;
@@ -0,0 +1,152 @@
+// Service Worker for offline reading
+// Precaches the site shell, keeps visited pages for offline use and caches photos as they are viewed.
+
+'use strict';
+
+// Stamped by tools/build.js whenever the precached files change
+const CACHE_VERSION = '4213553f29';
+const CACHE_PREFIX = 'shutter-thoughts';
+const STATIC_CACHE = `${CACHE_PREFIX}-static-${CACHE_VERSION}`;
+const PAGES_CACHE = `${CACHE_PREFIX}-pages-${CACHE_VERSION}`;
+const IMAGES_CACHE = `${CACHE_PREFIX}-images`;
+
+const OFFLINE_PAGE = 'offline.html';
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'about.html',
+    OFFLINE_PAGE,
+    'styles.css',
+    'sanitize.js',
+    'script.js'
+];
+
+const MAX_IMAGE_ENTRIES = 80;
+const NETWORK_TIMEOUT = 4000; // Trail signal: fall back to the cached page rather than waiting
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [STATIC_CACHE, PAGES_CACHE, IMAGES_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !currentCaches.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the reader accepts the refresh
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Local API calls and video range requests always go to the network
+    if (url.pathname.includes('/api/') || request.headers.has('range')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handlePageRequest(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(handleImageRequest(event));
+    } else {
+        event.respondWith(handleStaticRequest(request));
+    }
+});
+
+// Pages: network first with a timeout, then the cached copy, then the offline page
+async function handlePageRequest(request) {
+    const cache = await caches.open(PAGES_CACHE);
+
+    try {
+        const response = await fetchWithTimeout(request, NETWORK_TIMEOUT);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        // Redirect rather than respond in place so the offline page's relative links resolve from the root
+        return Response.redirect(new URL(OFFLINE_PAGE, self.registration.scope).href, 302);
+    }
+}
+
+// Images: stale-while-revalidate, keeping only the most recently stored photos
+async function handleImageRequest(event) {
+    const cache = await caches.open(IMAGES_CACHE);
+    const cached = await cache.match(event.request);
+
+    const update = fetch(event.request)
+        .then(async response => {
+            if (response.ok) {
+                await cache.put(event.request, response.clone());
+                await trimCache(cache, MAX_IMAGE_ENTRIES);
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+
+    return (await update) || Response.error();
+}
+
+// Styles, scripts and everything else: cache first, filled from the network
+async function handleStaticRequest(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(STATIC_CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+function fetchWithTimeout(request, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), timeout);
+
+        fetch(request).then(response => {
+            clearTimeout(timer);
+            resolve(response);
+        }, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+// Cache keys come back in insertion order, so the oldest entries go first
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
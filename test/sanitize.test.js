@@ -0,0 +1,147 @@
+// Tests for the comment sanitizer in sanitize.js, run against jsdom: npm test
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { sanitizeUserContent } = require('../sanitize');
+
+const ALLOWED_TAGS = ['A', 'BR'];
+const ALLOWED_ATTRIBUTES = ['href', 'rel', 'target'];
+
+// Sanitize into a fresh page at a known address and return the container holding the result
+function sanitize(input) {
+    const { document } = new JSDOM('<!DOCTYPE html><div id="out"></div>', { url: 'https://example.com/posts/davis.html' }).window;
+    const container = document.getElementById('out');
+    container.appendChild(sanitizeUserContent(input, document));
+    return container;
+}
+
+// Whatever went in, only <a> and <br> come out, links only carry safe attributes
+// and every href is http(s) or mailto
+function assertSafe(container) {
+    container.querySelectorAll('*').forEach(element => {
+        assert.ok(ALLOWED_TAGS.includes(element.tagName), `unexpected <${element.tagName.toLowerCase()}>`);
+        Array.from(element.attributes).forEach(attribute => {
+            assert.ok(ALLOWED_ATTRIBUTES.includes(attribute.name), `unexpected ${attribute.name} attribute`);
+        });
+        if (element.tagName === 'A') {
+            assert.match(element.getAttribute('href'), /^(https?|mailto):/);
+        }
+    });
+}
+
+test('drops event handlers on images', () => {
+    const out = sanitize('<img src=x onerror="alert(1)">after');
+    assertSafe(out);
+    assert.equal(out.innerHTML, 'after');
+});
+
+test('drops svg with onload, including its contents', () => {
+    const out = sanitize('<svg onload="alert(1)"><text>inside</text></svg>after');
+    assertSafe(out);
+    assert.equal(out.innerHTML, 'after');
+});
+
+test('drops script elements and their code', () => {
+    const out = sanitize('before<script>alert(1)</script>after');
+    assertSafe(out);
+    assert.equal(out.innerHTML, 'beforeafter');
+});
+
+test('turns javascript: links into plain text', () => {
+    const out = sanitize('<a href="javascript:alert(1)">click</a>');
+    assertSafe(out);
+    assert.equal(out.innerHTML, 'click');
+});
+
+test('turns mixed-case javascript: links into plain text', () => {
+    const out = sanitize('<a href="JaVaScRiPt:alert(1)">click</a>');
+    assertSafe(out);
+    assert.equal(out.innerHTML, 'click');
+});
+
+test('turns entity-encoded javascript: links into plain text', () => {
+    [
+        '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">click</a>',
+        '<a href="&#x6A;avascript&colon;alert(1)">click</a>',
+        '<a href="java&#x09;script:alert(1)">click</a>',
+        '<a href=" &#14; javascript:alert(1)">click</a>'
+    ].forEach(payload => {
+        const out = sanitize(payload);
+        assertSafe(out);
+        assert.equal(out.innerHTML, 'click', payload);
+    });
+});
+
+test('turns data: links into plain text and leaves bare data: URLs unlinked', () => {
+    const out = sanitize('<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a> data:text/html,<b>x</b>');
+    assertSafe(out);
+    assert.equal(out.querySelectorAll('a').length, 0);
+    assert.equal(out.textContent, 'click data:text/html,x');
+});
+
+test('keeps attribute breakouts inside the text or the href', () => {
+    const breakouts = [
+        '"><img src=x onerror=alert(1)>',
+        '\'><script>alert(1)</script>',
+        '<a href="https://example.com/" onclick="alert(1)" style="color:red">link</a>',
+        '<a href="https://example.com/&quot; onmouseover=&quot;alert(1)">link</a>',
+        'https://example.com/"onmouseover="alert(1)',
+        '<a href=https://example.com/ onmouseover=alert(1)>link</a>'
+    ];
+
+    breakouts.forEach(payload => assertSafe(sanitize(payload)));
+
+    const quoted = sanitize('<a href="https://example.com/&quot; onmouseover=&quot;alert(1)">link</a>').querySelector('a');
+    assert.equal(quoted.getAttribute('onmouseover'), null);
+    assert.match(quoted.getAttribute('href'), /^https:\/\/example\.com\/%22%20onmouseover=%22alert\(1\)$/);
+
+    const bare = sanitize('https://example.com/"onmouseover="alert(1)');
+    assert.equal(bare.querySelector('a').getAttribute('href'), 'https://example.com/');
+    assert.equal(bare.textContent, 'https://example.com/"onmouseover="alert(1)');
+});
+
+test('keeps http(s) and mailto links, opened safely', () => {
+    const out = sanitize('<a href="https://example.com/trail">trail</a> <a href="mailto:me@example.com">mail</a>');
+    assertSafe(out);
+    const links = out.querySelectorAll('a');
+    assert.equal(links.length, 2);
+    assert.equal(links[0].getAttribute('href'), 'https://example.com/trail');
+    assert.equal(links[0].getAttribute('rel'), 'nofollow ugc noopener noreferrer');
+    assert.equal(links[0].getAttribute('target'), '_blank');
+    assert.equal(links[1].getAttribute('href'), 'mailto:me@example.com');
+});
+
+test('turns bare URLs into links, leaving trailing punctuation outside', () => {
+    const out = sanitize('Photos at https://example.com/album?id=3. See you!');
+    assertSafe(out);
+    const link = out.querySelector('a');
+    assert.equal(link.getAttribute('href'), 'https://example.com/album?id=3');
+    assert.equal(link.textContent, 'https://example.com/album?id=3');
+    assert.equal(out.textContent, 'Photos at https://example.com/album?id=3. See you!');
+});
+
+test('does not link URLs that are already inside a link', () => {
+    const out = sanitize('<a href="https://example.com/">see https://example.org/</a>');
+    assert.equal(out.querySelectorAll('a').length, 1);
+});
+
+test('keeps <br> and turns newlines and blocks into line breaks', () => {
+    assert.equal(sanitize('first<br>second').innerHTML, 'first<br>second');
+    assert.equal(sanitize('first\r\nsecond').innerHTML, 'first<br>second');
+    assert.equal(sanitize('<p>first</p><p>second</p>').innerHTML, 'first<br>second');
+});
+
+test('reduces other markup to its text', () => {
+    const out = sanitize('<b>bold</b> and <span style="x">plain</span> &lt;tag&gt;');
+    assertSafe(out);
+    assert.equal(out.textContent, 'bold and plain <tag>');
+});
+
+test('returns nothing for empty or non-string input', () => {
+    [undefined, null, '', 42, {}].forEach(input => {
+        assert.equal(sanitize(input).innerHTML, '');
+    });
+});
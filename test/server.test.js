@@ -0,0 +1,101 @@
+// Tests for the local server in server/, started on a free port with its data in a temporary folder: npm test
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shutter-thoughts-'));
+process.env.DATA_DIR = dataDir;
+const server = require('../server');
+
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(pathname, options = {}) {
+    return fetch(baseUrl + pathname, options);
+}
+
+test('serves the site pages, assets and photos', async () => {
+    for (const pathname of ['/', '/index.html', '/styles.css', '/script.js', '/sanitize.js', '/sw.js', '/feed.xml', '/images/generated/manifest.json']) {
+        const response = await request(pathname);
+        await response.arrayBuffer();
+        assert.equal(response.status, 200, pathname);
+    }
+});
+
+test('refuses private folders and files whatever their case', async () => {
+    fs.writeFileSync(path.join(dataDir, 'likes.json'), '{}\n');
+
+    const privatePaths = [
+        '/Data/likes.json',
+        '/data/likes.json',
+        '/DATA/likes.json',
+        '/Server/index.js',
+        '/server/index.js',
+        '/Tools/build.js',
+        '/content/posts/001-sycamore-park-davis.md',
+        '/.GIT/config',
+        '/.git/config',
+        '/node_modules/jsdom/package.json',
+        '/package.json',
+        '/README.md',
+        '/requests.jsonl',
+        '/images/Yosimite/.DS_Store',
+        '/images/../server/index.js',
+        '/%2e%2e/etc/passwd'
+    ];
+
+    for (const pathname of privatePaths) {
+        const response = await request(pathname);
+        await response.arrayBuffer();
+        assert.equal(response.status, 404, pathname);
+    }
+});
+
+function postLike(body) {
+    return request('/api/likes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('rejects photo ids that name Object.prototype properties', async () => {
+    for (const id of ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'valueOf']) {
+        const response = await postLike({ id, visitor: 'visitor-0001', liked: true });
+        assert.equal(response.status, 400, id);
+        assert.equal((await response.json()).error, 'Invalid photo id');
+    }
+
+    const response = await request('/api/likes?ids=__proto__,constructor,toString');
+    assert.equal(response.status, 200);
+    const { counts } = await response.json();
+    assert.deepEqual(Object.keys(counts), []);
+});
+
+test('counts each visitor once per photo', async () => {
+    const id = 'images/Yosimite/half-dome.jpg';
+    await postLike({ id, visitor: 'visitor-0001', liked: true });
+    await postLike({ id, visitor: 'visitor-0001', liked: true });
+    const liked = await (await postLike({ id, visitor: 'visitor-0002', liked: true })).json();
+    assert.deepEqual(liked, { id, count: 2, liked: true });
+
+    await postLike({ id, visitor: 'visitor-0001', liked: false });
+    const response = await request(`/api/likes?ids=${encodeURIComponent(id)},images/unliked.jpg`);
+    assert.deepEqual((await response.json()).counts, { [id]: 1, 'images/unliked.jpg': 0 });
+});
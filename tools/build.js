@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+// Static site build: renders content/posts/*.md into index.html, posts/<slug>.html,
+// tags/<tag>.html, the archive (archive.html) and the browse-by-color page colors.html,
+// refreshes the tag cloud in about.html, then regenerates the RSS/Atom feeds and stamps
+// the service worker cache version
+// Usage: node tools/build.js
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPosts, tagSlug } = require('./lib/posts');
+const { escapeHtml, renderMarkdown, firstParagraph, parseMedia } = require('./lib/markdown');
+const { generateFeeds } = require('./feeds');
+const { loadManifest } = require('./images');
+const { COLOR_FAMILIES, paletteFamily } = require('./lib/colors');
+
+const OUTPUT_POSTS_DIR = path.join(ROOT, 'posts');
+const OUTPUT_TAGS_DIR = path.join(ROOT, 'tags');
+const ABOUT_PAGE = path.join(ROOT, 'about.html');
+const COLORS_PAGE = path.join(ROOT, 'colors.html');
+const ARCHIVE_PAGE = path.join(ROOT, 'archive.html');
+const SERVICE_WORKER = path.join(ROOT, 'sw.js');
+const PRECACHED_FILES = ['index.html', 'about.html', 'offline.html', 'styles.css', 'sanitize.js', 'script.js'];
+const SITE_DESCRIPTION = 'Shutter Thoughts - A personal blog showcasing amateur photography and personal thoughts';
+const RELATED_POSTS_LIMIT = 3;
+
+// about.html is written by hand; only the part between these markers is generated
+const TAG_CLOUD_START = '<!-- TAG CLOUD START -->';
+const TAG_CLOUD_END = '<!-- TAG CLOUD END -->';
+
+function indentBlock(lines, spaces) {
+    const pad = ' '.repeat(spaces);
+    return lines.map(line => (line ? pad + line : line)).join('\n');
+}
+
+// Paths in posts are relative to the site root; pages in posts/ need them prefixed
+function resolveFrom(root) {
+    return src => (/^([a-z]+:|\/|#)/i.test(src) ? src : root + src);
+}
+
+function renderTagList(tags, root) {
+    if (!tags.length) return [];
+    return [
+        '<ul class="post-tags" aria-label="Tags">',
+        ...tags.map(tag => `    <li><a href="${root}tags/${tagSlug(tag)}.html" class="tag-chip" rel="tag">#${escapeHtml(tag)}</a></li>`),
+        '</ul>'
+    ];
+}
+
+/**
+ * Render one post as an <article>.
+ * @param {Object} post - From loadPosts()
+ * @param {string} root - Path from the page back to the site root ('' or '../')
+ * @param {Object} [options]
+ * @param {Object} [options.manifest] - Responsive image manifest from tools/images.js
+ * @param {boolean} [options.lazy] - Lazy-load the post's images (everything below the fold)
+ * @param {string} [options.postsDir] - Path from the page to posts/ (defaults to the home page or a post page)
+ * @returns {string[]}
+ */
+function renderArticle(post, root, options = {}) {
+    const manifest = options.manifest || {};
+    const body = renderMarkdown(post.body, {
+        resolveSrc: resolveFrom(root),
+        imageInfo: src => manifest[src],
+        lazy: Boolean(options.lazy)
+    });
+    const tagsAttribute = post.tags.length ? ` data-tags="${escapeHtml(post.tags.join(' '))}"` : '';
+    const postsDir = options.postsDir !== undefined ? options.postsDir : (root ? '' : 'posts/');
+    const href = `${postsDir}${post.slug}.html`;
+    const tagList = renderTagList(post.tags, root);
+
+    return [
+        `<!-- ${post.title.toUpperCase()} POST -->`,
+        `<article class="blog-post" id="post-${escapeHtml(post.slug)}" data-post-id="${escapeHtml(post.slug)}"${tagsAttribute}>`,
+        '    <div class="post-meta">',
+        `        <span class="post-date">${escapeHtml(post.displayDate)}</span>`,
+        `        <span class="post-category">${escapeHtml(post.category)}</span>`,
+        '    </div>',
+        `    <h2><a href="${escapeHtml(href)}" class="post-link">${escapeHtml(post.title)}</a></h2>`,
+        '',
+        ...body.map(line => (line ? '    ' + line : line)),
+        ...(tagList.length ? ['', ...tagList.map(line => '    ' + line)] : []),
+        '</article>'
+    ];
+}
+
+// First photo of a post, as its smallest generated JPEG once the image pipeline has run
+function coverImage(post, manifest) {
+    const image = post.body
+        .split('\n')
+        .map(line => parseMedia(line.trim()))
+        .find(media => media && media.type === 'image');
+    if (!image) return null;
+
+    const info = manifest[image.src];
+    return info && info.sources.jpeg.length ? info.sources.jpeg[0].src : image.src;
+}
+
+// Other posts sharing at least one tag: most shared tags first, then the same category, then newest
+function findRelatedPosts(post, posts) {
+    const sameCategory = other => (other.category === post.category ? 1 : 0);
+
+    return posts
+        .filter(other => other !== post)
+        .map(other => ({ post: other, shared: other.tags.filter(tag => post.tags.includes(tag)) }))
+        .filter(entry => entry.shared.length > 0)
+        .sort((a, b) => b.shared.length - a.shared.length
+            || sameCategory(b.post) - sameCategory(a.post)
+            || b.post.date.localeCompare(a.post.date))
+        .slice(0, RELATED_POSTS_LIMIT);
+}
+
+function renderRelatedPosts(post, posts, manifest) {
+    const related = findRelatedPosts(post, posts);
+    if (!related.length) return [];
+
+    const items = related.flatMap(({ post: other, shared }) => {
+        const cover = coverImage(other, manifest);
+        return [
+            '<li class="related-item">',
+            `    <a href="${escapeHtml(other.slug)}.html" class="related-link">`,
+            ...(cover ? [`        <img src="${escapeHtml(resolveFrom('../')(cover))}" alt="" class="related-thumb" loading="lazy" decoding="async">`] : []),
+            `        <span class="related-title">${escapeHtml(other.title)}</span>`,
+            `        <span class="related-meta">${escapeHtml(other.displayDate)} &middot; ${shared.map(tag => `#${escapeHtml(tag)}`).join(' ')}</span>`,
+            '    </a>',
+            '</li>'
+        ];
+    });
+
+    return [
+        '<aside class="related-posts" aria-labelledby="relatedPostsTitle">',
+        '    <h2 id="relatedPostsTitle">Related posts</h2>',
+        '    <ul class="related-list">',
+        ...items.map(line => '        ' + line),
+        '    </ul>',
+        '</aside>'
+    ];
+}
+
+// Posts for each tag, keyed by the tag's page name
+function collectTags(posts) {
+    const tags = new Map();
+    posts.forEach(post => {
+        post.tags.forEach(tag => {
+            const slug = tagSlug(tag);
+            if (!slug) return;
+            if (!tags.has(slug)) {
+                tags.set(slug, { tag, posts: [] });
+            }
+            const entry = tags.get(slug);
+            if (!entry.posts.includes(post)) {
+                entry.posts.push(post);
+            }
+        });
+    });
+    return tags;
+}
+
+// Five font sizes, from the least to the most used tag
+function renderTagCloud(tags) {
+    const counts = Array.from(tags.values(), entry => entry.posts.length);
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+    const weight = count => (max === min ? 3 : 1 + Math.round(4 * (count - min) / (max - min)));
+
+    const items = Array.from(tags.keys()).sort().map(slug => {
+        const { tag, posts } = tags.get(slug);
+        const label = `${posts.length} ${posts.length === 1 ? 'post' : 'posts'}`;
+        return `    <li><a href="tags/${slug}.html" class="tag-cloud-link tag-weight-${weight(posts.length)}" rel="tag" title="${label}">#${escapeHtml(tag)}<span class="visually-hidden"> (${label})</span></a></li>`;
+    });
+
+    return ['<ul class="tag-cloud">', ...items, '</ul>'];
+}
+
+function updateTagCloud(tags) {
+    const source = fs.readFileSync(ABOUT_PAGE, 'utf8');
+    const start = source.indexOf(TAG_CLOUD_START);
+    const end = source.indexOf(TAG_CLOUD_END);
+    if (start === -1 || end < start) {
+        throw new Error(`about.html needs ${TAG_CLOUD_START} and ${TAG_CLOUD_END} markers for the tag cloud`);
+    }
+
+    // Match the markers' indentation
+    const pad = source.slice(source.lastIndexOf('\n', start) + 1, start);
+    const cloud = tags.size ? renderTagCloud(tags) : ['<p>No tags yet.</p>'];
+    const updated = source.slice(0, start + TAG_CLOUD_START.length) + '\n'
+        + indentBlock(cloud, pad.length) + '\n'
+        + pad + source.slice(end);
+
+    if (updated !== source) {
+        fs.writeFileSync(ABOUT_PAGE, updated);
+    }
+}
+
+function monthName(year, month) {
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long' });
+}
+
+function countLabel(count) {
+    return `${count} ${count === 1 ? 'post' : 'posts'}`;
+}
+
+// Posts grouped by year, then month, in the home page's order (newest first,
+// same-day posts as written). Only the latest year starts expanded.
+function buildArchivePage(posts) {
+    const years = new Map();
+    posts.forEach(post => {
+        const [year, month] = post.date.split('-').map(Number);
+        if (!years.has(year)) years.set(year, new Map());
+        const months = years.get(year);
+        if (!months.has(month)) months.set(month, []);
+        months.get(month).push(post);
+    });
+
+    const sections = Array.from(years, ([year, months], i) => {
+        const yearCount = Array.from(months.values()).reduce((sum, list) => sum + list.length, 0);
+        const monthBlocks = Array.from(months, ([month, list]) => [
+            `<details class="archive-month" id="archive-${year}-${String(month).padStart(2, '0')}" open>`,
+            `    <summary>${monthName(year, month)} <span class="archive-count">${countLabel(list.length)}</span></summary>`,
+            '    <ul class="archive-list">',
+            ...list.flatMap(post => [
+                '        <li class="archive-item">',
+                `            <time datetime="${post.date}">${escapeHtml(post.displayDate)}</time>`,
+                `            <a href="posts/${escapeHtml(post.slug)}.html">${escapeHtml(post.title)}</a>`,
+                `            <span class="post-category">${escapeHtml(post.category)}</span>`,
+                '        </li>'
+            ]),
+            '    </ul>',
+            '</details>'
+        ]);
+
+        return [
+            `<details class="archive-year" id="archive-${year}"${i === 0 ? ' open' : ''}>`,
+            `    <summary>${year} <span class="archive-count">${countLabel(yearCount)}</span></summary>`,
+            ...monthBlocks.flat().map(line => '    ' + line),
+            '</details>'
+        ];
+    });
+
+    let summary = 'No posts yet.';
+    if (posts.length) {
+        const [year, month] = posts[posts.length - 1].date.split('-').map(Number);
+        summary = `${countLabel(posts.length)} since ${monthName(year, month)} ${year}.`;
+    }
+
+    const main = `        <section class="blog-section archive-section">
+            <div class="archive-header">
+                <h2 class="archive-title">Archive</h2>
+                <p class="archive-summary">${summary}</p>
+            </div>
+
+${indentBlock(sections.flatMap((section, i) => (i > 0 ? ['', ...section] : section)), 12)}
+        </section>`;
+
+    return renderPage({
+        root: '',
+        title: 'Shutter Thoughts - Archive',
+        description: `Every Shutter Thoughts post by month: ${countLabel(posts.length)}`,
+        active: 'archive',
+        main
+    });
+}
+
+// Photos with a measured color, grouped by color family in COLOR_FAMILIES order.
+// Numbers count every photo and clip in the post, matching the lightbox's #/post/<slug>/photo/<n> links.
+function collectColorFamilies(posts, manifest) {
+    const families = new Map(COLOR_FAMILIES.map(family => [family.id, { ...family, photos: [] }]));
+
+    posts.forEach(post => {
+        post.body
+            .split('\n')
+            .map(line => parseMedia(line.trim()))
+            .filter(Boolean)
+            .forEach((media, i) => {
+                const info = media.type === 'image' ? manifest[media.src] : null;
+                if (!info || !info.palette) return;
+                families.get(paletteFamily(info.palette)).photos.push({ post, media, info, number: i + 1 });
+            });
+    });
+
+    return Array.from(families.values()).filter(family => family.photos.length);
+}
+
+function renderColorPhoto({ post, media, info, number }) {
+    const thumb = info.sources.jpeg[0];
+    const height = Math.round(info.height * thumb.width / info.width);
+    const href = `posts/${post.slug}.html#/post/${post.slug}/photo/${number}`;
+    const swatches = info.palette.map(color => `<span style="background-color: ${color}"></span>`).join('');
+
+    return [
+        '<li>',
+        `    <a href="${escapeHtml(href)}" class="color-photo" title="${escapeHtml(post.title)}">`,
+        `        <img src="${escapeHtml(thumb.src)}" alt="${escapeHtml(media.alt)}" width="${thumb.width}" height="${height}" loading="lazy" decoding="async" style="--photo-color: ${info.color}">`,
+        `        <span class="color-palette" aria-hidden="true">${swatches}</span>`,
+        `        <span class="visually-hidden">from ${escapeHtml(post.title)}</span>`,
+        '    </a>',
+        '</li>'
+    ];
+}
+
+function buildColorsPage(posts, manifest) {
+    const families = collectColorFamilies(posts, manifest);
+    const total = families.reduce((sum, family) => sum + family.photos.length, 0);
+    const label = count => `${count} ${count === 1 ? 'photo' : 'photos'}`;
+
+    const links = families.map(family => (
+        `<li><a href="#color-${family.id}" class="color-family-link" style="--swatch-color: ${family.swatch}">${escapeHtml(family.label)} <span class="color-family-count">(${family.photos.length})</span></a></li>`
+    ));
+
+    const sections = families.map(family => [
+        `<section class="color-family" id="color-${family.id}" aria-labelledby="color-${family.id}-title">`,
+        `    <h3 class="color-family-title" id="color-${family.id}-title"><span class="color-family-dot" style="--swatch-color: ${family.swatch}"></span>${escapeHtml(family.label)} <span class="color-family-count">${label(family.photos.length)}</span></h3>`,
+        '    <ul class="color-grid">',
+        ...family.photos.flatMap(renderColorPhoto).map(line => '        ' + line),
+        '    </ul>',
+        '</section>'
+    ]);
+
+    const body = families.length
+        ? ['<ul class="color-family-links" aria-label="Colors">', ...links.map(line => '    ' + line), '</ul>', '', ...sections.flatMap((section, i) => (i > 0 ? ['', ...section] : section))]
+        : ['<p>No photo colors yet. Run node tools/images.js to measure them.</p>'];
+
+    const main = `        <section class="blog-section color-browser">
+            <div class="color-page-header">
+                <h2 class="color-page-title">Browse by Color</h2>
+                <p class="color-page-intro">${label(total)}, grouped by their strongest color. Pick one to open it in its post.</p>
+            </div>
+
+${indentBlock(body, 12)}
+        </section>`;
+
+    return renderPage({
+        root: '',
+        title: 'Shutter Thoughts - Browse by Color',
+        description: `${label(total)} from Shutter Thoughts, grouped by color`,
+        active: 'colors',
+        main
+    });
+}
+
+function renderPage({ root, title, description, active, main }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="${escapeHtml(description)}">
+    <title>${escapeHtml(title)}</title>
+    <link rel="alternate" type="application/rss+xml" title="Shutter Thoughts (RSS)" href="${root}feed.xml">
+    <link rel="alternate" type="application/atom+xml" title="Shutter Thoughts (Atom)" href="${root}atom.xml">
+    <script>
+        // Apply the saved theme and motion setting before first paint to avoid a flash of the light theme
+        // or of animations the reader turned off (see ThemeManager and MotionManager)
+        (function() {
+            try {
+                // A 'light' saved before the theme menu existed was never chosen; forget it once
+                if (localStorage.getItem('themeVersion') !== '2') {
+                    if (localStorage.getItem('theme') === 'light') {
+                        localStorage.removeItem('theme');
+                    }
+                    localStorage.setItem('themeVersion', '2');
+                }
+                var theme = localStorage.getItem('theme') || 'auto';
+                if (theme === 'auto') {
+                    theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+                }
+                document.documentElement.setAttribute('data-theme', theme);
+                var motion = localStorage.getItem('motion');
+                if (motion) {
+                    document.documentElement.setAttribute('data-motion', motion);
+                }
+            } catch (error) {}
+        })();
+    </script>
+    <link rel="stylesheet" href="${root}styles.css">
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Playfair+Display:ital,wght@0,400;0,700;1,400&display=swap" rel="stylesheet">
+</head>
+<body>
+    <header class="site-header">
+        <div class="header-content">
+            <div class="header-top">
+                <button class="theme-toggle" id="themeToggle" aria-label="Choose theme">
+                    <span class="theme-icon">🌙</span>
+                </button>
+            </div>
+            <h1 class="site-title">Shutter Thoughts</h1>
+            <p class="site-subtitle">Just an amateur on a journey, learning the art along the way!</p>
+        </div>
+        <nav class="main-nav">
+            <ul>
+                <li><a href="${root}index.html"${active === 'home' ? ' class="active"' : ''}>Home</a></li>
+                <li><a href="${root}archive.html"${active === 'archive' ? ' class="active"' : ''}>Archive</a></li>
+                <li><a href="${root}colors.html"${active === 'colors' ? ' class="active"' : ''}>Colors</a></li>
+                <li><a href="${root}about.html">About</a></li>
+            </ul>
+        </nav>
+    </header>
+
+    <main class="main-content">
+${main}
+    </main>
+
+    <footer class="site-footer">
+        <div class="footer-content">
+            <p>&copy; <span id="currentYear"></span> Shutter Thoughts. All photographs and content are my own. This work is licensed under CC BY-NC-SA 4.0</p>
+            <p class="footer-feeds">Follow along: <a href="${root}feed.xml">RSS</a> &middot; <a href="${root}atom.xml">Atom</a></p>
+        </div>
+    </footer>
+
+    <script src="${root}sanitize.js"></script>
+    <script src="${root}script.js"></script>
+
+</body>
+</html>
+`;
+}
+
+function buildIndex(posts, manifest) {
+    // Only the first post is above the fold
+    const articles = posts.map((post, i) => indentBlock(renderArticle(post, '', { manifest, lazy: i > 0 }), 16));
+
+    const main = `        <section class="blog-section">
+            <!---POSTS START HERE-->
+            <div class="blog-posts">
+
+${articles.join('\n\n')}
+
+            </div>
+        </section>`;
+
+    return renderPage({
+        root: '',
+        title: 'Shutter Thoughts - Home',
+        description: SITE_DESCRIPTION,
+        active: 'home',
+        main
+    });
+}
+
+function buildPostPage(post, posts, manifest) {
+    const related = renderRelatedPosts(post, posts, manifest);
+    const main = `        <section class="blog-section">
+${indentBlock(renderArticle(post, '../', { manifest }), 12)}
+${related.length ? `\n${indentBlock(related, 12)}\n` : ''}
+            <p class="post-back"><a href="../index.html">&larr; All posts</a></p>
+        </section>`;
+
+    return renderPage({
+        root: '../',
+        title: `Shutter Thoughts - ${post.title}`,
+        description: firstParagraph(post.body) || SITE_DESCRIPTION,
+        active: null,
+        main
+    });
+}
+
+function buildTagPage({ tag, posts }, manifest) {
+    const articles = posts.map((post, i) => indentBlock(renderArticle(post, '../', { manifest, lazy: i > 0, postsDir: '../posts/' }), 16));
+    const count = `${posts.length} ${posts.length === 1 ? 'post' : 'posts'}`;
+
+    const main = `        <section class="blog-section">
+            <div class="tag-page-header">
+                <h2 class="tag-page-title">Posts tagged <span class="tag-chip">#${escapeHtml(tag)}</span></h2>
+                <p class="tag-page-count">${count} &middot; <a href="../about.html#tags">All tags</a></p>
+            </div>
+            <div class="blog-posts">
+
+${articles.join('\n\n')}
+
+            </div>
+        </section>`;
+
+    return renderPage({
+        root: '../',
+        title: `Shutter Thoughts - #${tag}`,
+        description: `${count} tagged ${tag} on Shutter Thoughts`,
+        active: null,
+        main
+    });
+}
+
+// Give the service worker a new cache version whenever a precached file changes,
+// which is what prompts returning readers to refresh
+function stampServiceWorker() {
+    const hash = crypto.createHash('sha1');
+    PRECACHED_FILES.forEach(file => hash.update(fs.readFileSync(path.join(ROOT, file))));
+    const version = hash.digest('hex').slice(0, 10);
+
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    const stamped = source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`);
+    if (stamped !== source) {
+        fs.writeFileSync(SERVICE_WORKER, stamped);
+        console.log(`Service worker cache version is now ${version}.`);
+    }
+}
+
+function build() {
+    const posts = loadPosts();
+    const manifest = loadManifest();
+
+    fs.writeFileSync(path.join(ROOT, 'index.html'), buildIndex(posts, manifest));
+
+    // Rebuild posts/ from scratch so renamed or removed posts don't leave stale pages
+    fs.rmSync(OUTPUT_POSTS_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_POSTS_DIR);
+    posts.forEach(post => {
+        fs.writeFileSync(path.join(OUTPUT_POSTS_DIR, `${post.slug}.html`), buildPostPage(post, posts, manifest));
+    });
+
+    const tags = collectTags(posts);
+    fs.rmSync(OUTPUT_TAGS_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_TAGS_DIR);
+    tags.forEach((entry, slug) => {
+        fs.writeFileSync(path.join(OUTPUT_TAGS_DIR, `${slug}.html`), buildTagPage(entry, manifest));
+    });
+    updateTagCloud(tags);
+
+    fs.writeFileSync(ARCHIVE_PAGE, buildArchivePage(posts));
+    fs.writeFileSync(COLORS_PAGE, buildColorsPage(posts, manifest));
+
+    console.log(`Built index.html, archive.html, colors.html, ${posts.length} post pages and ${tags.size} tag pages.`);
+
+    // Feeds are read back from the freshly written index.html
+    generateFeeds();
+    stampServiceWorker();
+}
+
+if (require.main === module) {
+    try {
+        build();
+    } catch (error) {
+        console.error(`Build failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { build, renderArticle, renderPage };
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+// Feed generation: writes feed.xml (RSS 2.0) and atom.xml from the posts in index.html
+// Usage: node tools/feeds.js   (set SITE_URL to change the absolute URLs)
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { ROOT, parseDisplayDate } = require('./lib/posts');
+const { extractPosts } = require('./lib/html');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif'
+};
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(relativePath) {
+    return new URL(relativePath, site.url).href;
+}
+
+// Turn an extracted post into the fields both feed formats need
+function toEntry(post) {
+    const isoDate = parseDisplayDate(post.date);
+    if (!isoDate) {
+        throw new Error(`Post "${post.title}" has an unreadable date: "${post.date}"`);
+    }
+
+    const link = absoluteUrl(post.link || `index.html#${post.id || ''}`);
+    const image = post.images[0];
+    let enclosure = null;
+
+    if (image && image.src) {
+        const filePath = path.join(ROOT, decodeURI(image.src));
+        enclosure = {
+            url: absoluteUrl(image.src),
+            type: MIME_TYPES[path.extname(image.src).toLowerCase()] || 'image/jpeg',
+            length: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0,
+            alt: image.alt || post.title
+        };
+    }
+
+    return {
+        title: post.title,
+        link,
+        date: new Date(`${isoDate}T00:00:00Z`),
+        category: post.category,
+        summary: post.paragraphs.find(Boolean) || '',
+        enclosure
+    };
+}
+
+function renderRss(entries) {
+    const updated = entries.length ? entries[0].date : new Date();
+    const items = entries.map(entry => `        <item>
+            <title>${escapeXml(entry.title)}</title>
+            <link>${escapeXml(entry.link)}</link>
+            <guid isPermaLink="true">${escapeXml(entry.link)}</guid>
+            <pubDate>${entry.date.toUTCString()}</pubDate>
+            <category>${escapeXml(entry.category)}</category>
+            <description>${escapeXml(entry.summary)}</description>${entry.enclosure ? `
+            <enclosure url="${escapeXml(entry.enclosure.url)}" length="${entry.enclosure.length}" type="${entry.enclosure.type}"/>
+            <media:content url="${escapeXml(entry.enclosure.url)}" medium="image" type="${entry.enclosure.type}">
+                <media:description>${escapeXml(entry.enclosure.alt)}</media:description>
+            </media:content>` : ''}
+        </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+    <channel>
+        <title>${escapeXml(site.title)}</title>
+        <link>${escapeXml(site.url)}</link>
+        <description>${escapeXml(site.description)}</description>
+        <language>${site.language}</language>
+        <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+        <atom:link href="${escapeXml(absoluteUrl('feed.xml'))}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+    </channel>
+</rss>
+`;
+}
+
+function renderAtom(entries) {
+    const updated = entries.length ? entries[0].date : new Date();
+    const items = entries.map(entry => `    <entry>
+        <title>${escapeXml(entry.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>
+        <id>${escapeXml(entry.link)}</id>
+        <published>${entry.date.toISOString()}</published>
+        <updated>${entry.date.toISOString()}</updated>
+        <category term="${escapeXml(entry.category)}"/>
+        <summary>${escapeXml(entry.summary)}</summary>${entry.enclosure ? `
+        <link rel="enclosure" type="${entry.enclosure.type}" length="${entry.enclosure.length}" href="${escapeXml(entry.enclosure.url)}"/>
+        <media:thumbnail url="${escapeXml(entry.enclosure.url)}"/>` : ''}
+    </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+    <title>${escapeXml(site.title)}</title>
+    <subtitle>${escapeXml(site.description)}</subtitle>
+    <link rel="alternate" type="text/html" href="${escapeXml(site.url)}"/>
+    <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl('atom.xml'))}"/>
+    <id>${escapeXml(site.url)}</id>
+    <updated>${updated.toISOString()}</updated>
+    <author>
+        <name>${escapeXml(site.author)}</name>
+    </author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+function generateFeeds() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const entries = extractPosts(html).map(toEntry);
+
+    fs.writeFileSync(path.join(ROOT, 'feed.xml'), renderRss(entries));
+    fs.writeFileSync(path.join(ROOT, 'atom.xml'), renderAtom(entries));
+
+    console.log(`Wrote feed.xml and atom.xml with ${entries.length} entries.`);
+}
+
+if (require.main === module) {
+    try {
+        generateFeeds();
+    } catch (error) {
+        console.error(`Feed generation failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { generateFeeds };
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// Responsive image pipeline: writes resized AVIF/WebP/JPEG copies of every photo in images/
+// plus images/generated/manifest.json, which tools/build.js uses for srcset, width, height and
+// the dominant color shown while each photo loads.
+// Usage: node tools/images.js [--force]
+// Requires sharp (npm install sharp), the only tool here with a dependency.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/posts');
+const { extractPalette } = require('./lib/colors');
+
+const IMAGES_DIR = path.join(ROOT, 'images');
+const OUTPUT_DIR = path.join(IMAGES_DIR, 'generated');
+const MANIFEST_PATH = path.join(OUTPUT_DIR, 'manifest.json');
+
+// Layouts top out at 800px wide; 1600 covers them on 2x screens
+const WIDTHS = [480, 960, 1600];
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+// Colors are measured on a thumbnail; more pixels barely change the palette
+const COLOR_SAMPLE_SIZE = 64;
+const FORMATS = [
+    { name: 'avif', extension: 'avif', options: { quality: 50 } },
+    { name: 'webp', extension: 'webp', options: { quality: 75 } },
+    // Large JPEGs would barely differ from the originals, which srcset already lists
+    { name: 'jpeg', extension: 'jpg', options: { quality: 80, progressive: true, mozjpeg: true }, maxWidth: 960 }
+];
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('The image pipeline needs sharp. Install it with: npm install sharp');
+        process.exit(1);
+    }
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function toSitePath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+function findSourceImages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.name.startsWith('.') || fullPath === OUTPUT_DIR) return [];
+        if (entry.isDirectory()) return findSourceImages(fullPath);
+        return SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+}
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    });
+}
+
+function isUpToDate(source, target) {
+    return fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+async function processImage(sharp, source, force) {
+    const metadata = await sharp(source).metadata();
+
+    // EXIF orientations 5-8 are stored rotated by 90 degrees
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const relativeDir = path.relative(IMAGES_DIR, path.dirname(source));
+    const outputDir = path.join(OUTPUT_DIR, ...relativeDir.split(path.sep).map(slugify));
+    const baseName = slugify(path.basename(source, path.extname(source)));
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // Never upscale; the original itself is the largest JPEG candidate
+    const widths = WIDTHS.filter(w => w < width);
+
+    const sources = {};
+    for (const format of FORMATS) {
+        sources[format.name] = [];
+
+        for (const targetWidth of widths.filter(w => w <= (format.maxWidth || Infinity))) {
+            const target = path.join(outputDir, `${baseName}-${targetWidth}.${format.extension}`);
+
+            if (force || !isUpToDate(source, target)) {
+                await sharp(source)
+                    .rotate()
+                    .resize({ width: targetWidth, withoutEnlargement: true })
+                    .toFormat(format.name, format.options)
+                    .toFile(target);
+            }
+
+            sources[format.name].push({ src: toSitePath(target), width: targetWidth });
+        }
+    }
+
+    sources.jpeg.push({ src: toSitePath(source), width });
+
+    const palette = await samplePalette(sharp, source);
+
+    return { width, height, color: palette[0], palette, sources };
+}
+
+async function samplePalette(sharp, source) {
+    const { data, info } = await sharp(source)
+        .resize(COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return extractPalette(data, info.channels);
+}
+
+async function run() {
+    const force = process.argv.includes('--force');
+    const sharp = loadSharp();
+    sharp.concurrency(1);
+
+    const sourceImages = findSourceImages(IMAGES_DIR).sort();
+    const manifest = {};
+
+    for (const source of sourceImages) {
+        const key = toSitePath(source);
+        process.stdout.write(`${key}\n`);
+        manifest[key] = await processImage(sharp, source, force);
+    }
+
+    // Remove variants of photos that were deleted or renamed
+    const current = new Set(Object.values(manifest).flatMap(entry =>
+        Object.values(entry.sources).flat().map(variant => path.join(ROOT, variant.src))
+    ));
+    listFiles(OUTPUT_DIR)
+        .filter(file => file !== MANIFEST_PATH && !current.has(file))
+        .forEach(file => fs.unlinkSync(file));
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Processed ${sourceImages.length} images into ${toSitePath(OUTPUT_DIR)}/.`);
+}
+
+/**
+ * Read the manifest written by this pipeline.
+ * @returns {Object} Entries keyed by site-relative image path, or {} before the pipeline has run
+ */
+function loadManifest() {
+    if (!fs.existsSync(MANIFEST_PATH)) return {};
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error(`Image pipeline failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { loadManifest, OUTPUT_DIR };
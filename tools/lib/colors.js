@@ -0,0 +1,116 @@
+// Photo colors: the palette tools/images.js stores in the manifest and the color
+// families tools/build.js groups photos by on the browse-by-color page.
+
+'use strict';
+
+const PALETTE_SIZE = 5;
+// Palette entries closer than this (RGB distance) count as the same color
+const MIN_DISTANCE = 48;
+// How many of the most common colors paletteFamily() looks at
+const MAIN_COLORS = 3;
+const NEUTRAL_FAMILIES = ['light', 'grey', 'dark'];
+
+// In display order; hue ranges are in degrees, checked after the neutral families.
+// swatch is the color the browse page uses for the family's own link.
+const COLOR_FAMILIES = [
+    { id: 'red', label: 'Reds', swatch: '#c0392b', hues: [[345, 360], [0, 15]] },
+    { id: 'orange', label: 'Oranges & browns', swatch: '#e08a2c', hues: [[15, 45]] },
+    { id: 'yellow', label: 'Yellows', swatch: '#e6c229', hues: [[45, 70]] },
+    { id: 'green', label: 'Greens', swatch: '#4c9a52', hues: [[70, 165]] },
+    { id: 'teal', label: 'Teals', swatch: '#2a9d8f', hues: [[165, 200]] },
+    { id: 'blue', label: 'Blues', swatch: '#3f7fcf', hues: [[200, 260]] },
+    { id: 'purple', label: 'Purples & pinks', swatch: '#9b59b6', hues: [[260, 345]] },
+    { id: 'light', label: 'Whites & mist', swatch: '#ecebe8' },
+    { id: 'grey', label: 'Greys', swatch: '#8a8d91' },
+    { id: 'dark', label: 'Night & shadow', swatch: '#15171c' }
+];
+
+function toHex(rgb) {
+    return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Most common colors of an image, most common first.
+ * Pixels are bucketed at 3 bits per channel and each bucket is averaged,
+ * so the colors are ones that actually appear in the photo.
+ * @param {Buffer} data - Raw pixels, e.g. from sharp's .raw() on a small resize
+ * @param {number} channels - Bytes per pixel (3 or 4; alpha is ignored)
+ * @returns {string[]} Up to five #rrggbb colors
+ */
+function extractPalette(data, channels) {
+    const buckets = new Map();
+
+    for (let i = 0; i + 2 < data.length; i += channels) {
+        const key = ((data[i] >> 5) << 6) | ((data[i + 1] >> 5) << 3) | (data[i + 2] >> 5);
+        const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+        bucket.count++;
+        bucket.sum[0] += data[i];
+        bucket.sum[1] += data[i + 1];
+        bucket.sum[2] += data[i + 2];
+        buckets.set(key, bucket);
+    }
+
+    const palette = [];
+    [...buckets.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(bucket => bucket.sum.map(total => total / bucket.count))
+        .forEach(rgb => {
+            if (palette.length < PALETTE_SIZE && palette.every(chosen => distance(chosen, rgb) >= MIN_DISTANCE)) {
+                palette.push(rgb);
+            }
+        });
+
+    return palette.map(toHex);
+}
+
+/**
+ * Which COLOR_FAMILIES entry a color belongs to.
+ * @param {string} hex - #rrggbb
+ * @returns {string} Family id
+ */
+function colorFamily(hex) {
+    const [r, g, b] = fromHex(hex).map(value => value / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+
+    if (lightness < 0.18) return 'dark';
+    if (saturation < 0.15 || max - min < 0.08) return lightness > 0.8 ? 'light' : 'grey';
+
+    let hue;
+    if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+    else if (max === g) hue = (b - r) / (max - min) + 2;
+    else hue = (r - g) / (max - min) + 4;
+    hue *= 60;
+
+    const family = COLOR_FAMILIES.find(entry => entry.hues && entry.hues.some(([from, to]) => hue >= from && hue < to));
+    return family ? family.id : 'red';
+}
+
+/**
+ * The family a photo is browsed under: the first clearly colored one among its
+ * main colors, so a blue sky over grey rock files under blues rather than greys.
+ * @param {string[]} palette - From extractPalette, most common first
+ * @returns {string} Family id
+ */
+function paletteFamily(palette) {
+    const families = palette.slice(0, MAIN_COLORS).map(colorFamily);
+    return families.find(family => !NEUTRAL_FAMILIES.includes(family)) || families[0];
+}
+
+module.exports = {
+    COLOR_FAMILIES,
+    extractPalette,
+    colorFamily,
+    paletteFamily
+};
@@ -0,0 +1,113 @@
+// Lightweight extraction of posts from the generated pages
+// The markup is produced by tools/build.js, so a few targeted patterns are enough here.
+
+'use strict';
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    larr: '←',
+    rarr: '→',
+    copy: '©'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+    });
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read an attribute from a single opening tag.
+ * @param {string} tag - e.g. '<img src="a.jpg" alt="A">'
+ * @param {string} name
+ * @returns {string|null} Decoded value, or null when the attribute is absent
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    if (!match) return null;
+    return decodeEntities(match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4]);
+}
+
+function findTags(html, tagName) {
+    return html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || [];
+}
+
+/**
+ * Extract every `.blog-post` article from a page.
+ * @param {string} html
+ * @returns {Object[]} Posts in page order with title, date, category, link, paragraphs, images and videos
+ */
+function extractPosts(html) {
+    const posts = [];
+    const articlePattern = /<article\b[^>]*class="[^"]*\bblog-post\b[^"]*"[^>]*>([\s\S]*?)<\/article>/gi;
+    let match;
+
+    while ((match = articlePattern.exec(html)) !== null) {
+        const openingTag = match[0].slice(0, match[0].indexOf('>') + 1);
+        const body = match[1];
+        const heading = body.match(/<h2\b[^>]*>([\s\S]*?)<\/h2>/i);
+        const headingLink = heading ? findTags(heading[1], 'a')[0] : null;
+        const date = body.match(/<span class="post-date"[^>]*>([\s\S]*?)<\/span>/i);
+        const category = body.match(/<span class="post-category"[^>]*>([\s\S]*?)<\/span>/i);
+
+        const paragraphs = [];
+        const paragraphPattern = /<p\b([^>]*)>([\s\S]*?)<\/p>/gi;
+        let paragraph;
+        while ((paragraph = paragraphPattern.exec(body)) !== null) {
+            if (/class="[^"]*image-caption/.test(paragraph[1])) continue;
+            paragraphs.push(stripTags(paragraph[2]));
+        }
+
+        const images = findTags(body, 'img').map(tag => ({
+            tag,
+            src: getAttribute(tag, 'src'),
+            alt: getAttribute(tag, 'alt')
+        }));
+
+        // <source> also appears in <picture>; only the ones inside <video> are clips
+        const videoMarkup = (body.match(/<video\b[\s\S]*?<\/video>/gi) || []).join('\n');
+        const videos = findTags(videoMarkup, 'source').map(tag => ({
+            tag,
+            src: getAttribute(tag, 'src'),
+            type: getAttribute(tag, 'type')
+        }));
+
+        posts.push({
+            id: getAttribute(openingTag, 'id'),
+            title: heading ? stripTags(heading[1]) : '',
+            link: headingLink ? getAttribute(headingLink, 'href') : null,
+            date: date ? stripTags(date[1]) : '',
+            category: category ? stripTags(category[1]) : '',
+            paragraphs,
+            images,
+            videos,
+            html: match[0],
+            offset: match.index
+        });
+    }
+
+    return posts;
+}
+
+module.exports = {
+    decodeEntities,
+    stripTags,
+    getAttribute,
+    findTags,
+    extractPosts
+};
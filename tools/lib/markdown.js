@@ -0,0 +1,292 @@
+// Minimal Markdown renderer for blog posts
+// Supports paragraphs, headings, lists, emphasis, links and the blog's image/video layouts:
+//
+//   ![alt](images/Folder/photo.jpg "Caption")           full width image
+//   ![alt](images/Folder/photo.jpg "Caption"){center}   centered image
+//   two or more image lines in one block               half-width grid
+//   !video(images/Folder/clip.mp4)                     video embed
+//   !before(images/Folder/original.jpg "Edits")        after an image line: the unedited original,
+//                                                      shown with the image in a before/after slider
+//   <div>...</div>                                     a block starting with a tag is copied as written
+
+'use strict';
+
+const IMAGE_LINE = /^!\[([^\]]*)\]\((.+?)(?:\s+"([^"]*)")?\)(?:\{(full|center)\})?$/;
+const VIDEO_LINE = /^!video\((.+?)\)$/;
+const BEFORE_LINE = /^!before\((.+?)(?:\s+"([^"]*)")?\)$/;
+const HEADING_LINE = /^(#{1,4})\s+(.*)$/;
+const LIST_LINE = /^[-*]\s+(.*)$/;
+const HTML_BLOCK = /^<[a-z!\/]/i;
+
+const INDENT = '    ';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Only allow links that cannot execute script
+function safeUrl(url) {
+    const trimmed = url.trim();
+    if (/^(https?:|mailto:|#|\/|\.\.?\/)/i.test(trimmed) || !/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+        return trimmed;
+    }
+    return '#';
+}
+
+function renderInline(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            return `<a href="${safeUrl(url)}">${label}</a>`;
+        });
+}
+
+function indent(lines, depth = 1) {
+    return lines.map(line => (line ? INDENT.repeat(depth) + line : line));
+}
+
+function parseMedia(line) {
+    const image = line.match(IMAGE_LINE);
+    if (image) {
+        return {
+            type: 'image',
+            alt: image[1],
+            src: image[2].trim(),
+            // "" keeps an empty caption paragraph; no quotes means no caption at all
+            caption: image[3],
+            layout: image[4] || 'full'
+        };
+    }
+
+    const video = line.match(VIDEO_LINE);
+    if (video) {
+        return { type: 'video', src: video[1].trim() };
+    }
+
+    return null;
+}
+
+// A block's images and clips, with each !before line attached to the image above it;
+// null if the block has anything else in it
+function parseMediaBlock(lines) {
+    const items = [];
+    for (const line of lines) {
+        const before = line.match(BEFORE_LINE);
+        const last = items[items.length - 1];
+        if (before && last && last.type === 'image' && !last.original) {
+            last.original = before[1].trim();
+            last.edits = before[2] || '';
+            continue;
+        }
+
+        const media = parseMedia(line);
+        if (!media) return null;
+        items.push(media);
+    }
+    return items;
+}
+
+// Before/after pairs are marked on the image's wrapper; script.js builds the slider from these
+function compareAttributes(media, options) {
+    if (!media.original) return '';
+    const edits = media.edits ? ` data-edits="${escapeHtml(media.edits)}"` : '';
+    return ` data-original="${escapeHtml(options.resolveSrc(media.original))}"${edits}`;
+}
+
+// How wide each image layout is drawn, for the srcset `sizes` attribute
+const IMAGE_SIZES = {
+    'blog-img-full': '(max-width: 800px) 100vw, 800px',
+    'blog-img-center': '(max-width: 600px) 100vw, 600px',
+    'blog-img-half': '(max-width: 768px) 100vw, 400px'
+};
+
+// srcset is whitespace separated, so folder names with spaces must be encoded
+function toSrcset(variants, resolveSrc) {
+    return variants.map(variant => `${encodeURI(resolveSrc(variant.src))} ${variant.width}w`).join(', ');
+}
+
+function renderImage(media, className, options) {
+    const info = options.imageInfo(media.src);
+    const attributes = [
+        `src="${escapeHtml(options.resolveSrc(media.src))}"`,
+        `alt="${escapeHtml(media.alt)}"`,
+        `class="${className}"`
+    ];
+
+    if (info) {
+        attributes.push(`width="${info.width}"`, `height="${info.height}"`);
+        // Shown as a placeholder until the photo loads (see PhotoColorManager in script.js)
+        if (info.color) {
+            attributes.push(`style="--photo-color: ${escapeHtml(info.color)}"`);
+        }
+        if (info.sources.jpeg) {
+            attributes.push(
+                `srcset="${escapeHtml(toSrcset(info.sources.jpeg, options.resolveSrc))}"`,
+                `sizes="${IMAGE_SIZES[className]}"`
+            );
+        }
+    }
+    if (options.lazy) {
+        attributes.push('loading="lazy"', 'decoding="async"');
+    }
+
+    const img = `<img ${attributes.join(' ')}>`;
+    const lines = [];
+
+    // Modern formats go in <source> elements; the <img> keeps the JPEG fallback
+    const modernFormats = info ? ['avif', 'webp'].filter(format => info.sources[format]) : [];
+    if (modernFormats.length) {
+        lines.push(
+            '<picture>',
+            ...modernFormats.map(format => (
+                `${INDENT}<source type="image/${format}" srcset="${escapeHtml(toSrcset(info.sources[format], options.resolveSrc))}" sizes="${IMAGE_SIZES[className]}">`
+            )),
+            `${INDENT}${img}`,
+            '</picture>'
+        );
+    } else {
+        lines.push(img);
+    }
+
+    if (media.caption !== undefined) {
+        lines.push(`<p class="image-caption">${renderInline(media.caption)}</p>`);
+    }
+    return lines;
+}
+
+// Clips download nothing up front; script.js adds a poster and previews once they are near the viewport
+function renderVideo(media, options) {
+    return [
+        '<video controls preload="none" playsinline class="blog-video">',
+        `${INDENT}<source src="${escapeHtml(options.resolveSrc(media.src))}" type="video/mp4">`,
+        `${INDENT}Your browser does not support the video tag.`,
+        '</video>'
+    ];
+}
+
+function renderMediaBlock(items, options) {
+    if (items.length === 1) {
+        const media = items[0];
+        const inner = media.type === 'video'
+            ? renderVideo(media, options)
+            : renderImage(media, media.layout === 'center' ? 'blog-img-center' : 'blog-img-full', options);
+        return [`<div class="blog-image"${compareAttributes(media, options)}>`, ...indent(inner), '</div>'];
+    }
+
+    const cells = items.map(media => {
+        if (media.type === 'video') {
+            return renderVideo(media, options);
+        }
+        return [
+            `<div class="blog-image-half"${compareAttributes(media, options)}>`,
+            ...indent(renderImage(media, 'blog-img-half', options)),
+            '</div>'
+        ];
+    });
+
+    const inner = [];
+    cells.forEach((cell, i) => {
+        if (i > 0 && items[i].type === 'image') inner.push('');
+        inner.push(...cell);
+    });
+
+    return ['<div class="blog-image-grid">', ...indent(inner), '</div>'];
+}
+
+// Markup the syntax above can't express; only src paths are resolved, so it works from posts/ too
+function renderHtmlBlock(block, options) {
+    const lines = block.split('\n').map(line => line.replace(/\s+$/, '')).filter(Boolean);
+    const margin = Math.min(...lines.map(line => line.match(/^\s*/)[0].length));
+    return lines.map(line => line.slice(margin).replace(/(\ssrc=")([^"]*)"/g, (match, attribute, src) => {
+        return `${attribute}${options.resolveSrc(src)}"`;
+    }));
+}
+
+function renderBlock(lines, options) {
+    const media = parseMediaBlock(lines);
+    if (media) {
+        return renderMediaBlock(media, options);
+    }
+
+    const heading = lines.length === 1 && lines[0].match(HEADING_LINE);
+    if (heading) {
+        // h1/h2 are taken by the site title and the post title
+        const level = Math.min(heading[1].length + 1, 6);
+        return [`<h${level}>${renderInline(heading[2])}</h${level}>`];
+    }
+
+    if (lines.every(line => LIST_LINE.test(line))) {
+        return [
+            '<ul>',
+            ...indent(lines.map(line => `<li>${renderInline(line.match(LIST_LINE)[1])}</li>`)),
+            '</ul>'
+        ];
+    }
+
+    return [`<p>${renderInline(lines.join(' '))}</p>`];
+}
+
+/**
+ * Render a Markdown post body to an array of HTML lines.
+ * Blocks are separated by an empty line in the output, like the hand-written posts.
+ * @param {string} source - Markdown without front matter
+ * @param {Object} [options]
+ * @param {Function} [options.resolveSrc] - Maps an image/video path to the path used in the page
+ * @param {Function} [options.imageInfo] - Returns { width, height, color, sources } for an image path, if known
+ * @param {boolean} [options.lazy] - Mark images with loading="lazy"
+ * @returns {string[]}
+ */
+function renderMarkdown(source, options = {}) {
+    const settings = { resolveSrc: src => src, imageInfo: () => null, lazy: false, ...options };
+    const blocks = source
+        .replace(/\r\n/g, '\n')
+        .split(/\n\s*\n/)
+        .filter(block => block.trim());
+
+    const output = [];
+    blocks.forEach((block, i) => {
+        if (i > 0) output.push('');
+        if (HTML_BLOCK.test(block.trim())) {
+            output.push(...renderHtmlBlock(block, settings));
+        } else {
+            output.push(...renderBlock(block.split('\n').map(line => line.trim()).filter(Boolean), settings));
+        }
+    });
+    return output;
+}
+
+/**
+ * Plain-text version of the first paragraph, used for page descriptions.
+ * @param {string} source - Markdown without front matter
+ * @returns {string}
+ */
+function firstParagraph(source) {
+    const block = source
+        .replace(/\r\n/g, '\n')
+        .split(/\n\s*\n/)
+        .map(text => text.trim())
+        .find(text => text
+            && !parseMediaBlock(text.split('\n').map(line => line.trim()))
+            && !HEADING_LINE.test(text)
+            && !HTML_BLOCK.test(text));
+
+    if (!block) return '';
+    return block
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/[*`]/g, '');
+}
+
+module.exports = {
+    escapeHtml,
+    renderInline,
+    renderMarkdown,
+    firstParagraph,
+    parseMedia
+};
@@ -0,0 +1,150 @@
+// Post loading: reads content/posts/*.md, parses front matter and sorts newest first
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const POSTS_DIR = path.join(ROOT, 'content', 'posts');
+
+// Post files are numbered in the order they were written: 001-sycamore-park-davis.md
+const POST_FILE = /^(\d+)-([a-z0-9-]+)\.md$/;
+
+/**
+ * Parse the small YAML subset used in post front matter:
+ * `key: value` pairs and `[a, b]` or comma separated lists for tags.
+ * @param {string} source - Full file contents
+ * @returns {{ data: Object, body: string }}
+ */
+function parseFrontMatter(source) {
+    const match = source.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    const data = {};
+    match[1].split('\n').forEach(line => {
+        const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+        if (!pair) return;
+
+        let value = pair[2].trim();
+        if (/^".*"$|^'.*'$/.test(value)) {
+            value = value.slice(1, -1);
+        }
+        data[pair[1]] = value;
+    });
+
+    if (typeof data.tags === 'string') {
+        data.tags = data.tags
+            .replace(/^\[|\]$/g, '')
+            .split(',')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    return { data, body: match[2] };
+}
+
+/**
+ * Format an ISO date (2025-10-24) the way posts display it: "October 24, 2025".
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Parse a displayed post date ("October 24, 2025") back to ISO form.
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD, or null when the text is not a valid date
+ */
+function parseDisplayDate(text) {
+    const match = String(text).trim().match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+    if (!match) return null;
+
+    const month = MONTHS.findIndex(name => name.startsWith(match[1].toLowerCase()) && match[1].length >= 3);
+    const day = Number(match[2]);
+    const year = Number(match[3]);
+    const date = new Date(Date.UTC(year, month, day));
+
+    if (month === -1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * File name for a tag's page, tags/<slug>.html. Tags that only differ in spacing or punctuation share a page.
+ * @param {string} tag
+ * @returns {string}
+ */
+function tagSlug(tag) {
+    return String(tag).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function loadPost(fileName) {
+    const [, number, fileSlug] = fileName.match(POST_FILE);
+    const filePath = path.join(POSTS_DIR, fileName);
+    const { data, body } = parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+
+    ['title', 'date', 'category'].forEach(field => {
+        if (!data[field]) {
+            throw new Error(`${fileName}: missing "${field}" in front matter`);
+        }
+    });
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date)) {
+        throw new Error(`${fileName}: date must be written as YYYY-MM-DD, got "${data.date}"`);
+    }
+
+    return {
+        file: filePath,
+        number: Number(number),
+        slug: data.slug || fileSlug,
+        title: data.title,
+        date: data.date,
+        displayDate: formatDate(data.date),
+        category: data.category,
+        tags: data.tags || [],
+        body
+    };
+}
+
+/**
+ * Load every post, newest first. Posts sharing a date keep the order they were written in,
+ * newest file number first, matching how they appear on the home page.
+ * @returns {Object[]}
+ */
+function loadPosts() {
+    const files = fs.readdirSync(POSTS_DIR).filter(name => POST_FILE.test(name));
+    const posts = files.map(loadPost);
+
+    const slugs = new Set();
+    posts.forEach(post => {
+        if (slugs.has(post.slug)) {
+            throw new Error(`Duplicate post slug "${post.slug}"`);
+        }
+        slugs.add(post.slug);
+    });
+
+    return posts.sort((a, b) => b.date.localeCompare(a.date) || b.number - a.number);
+}
+
+module.exports = {
+    ROOT,
+    POSTS_DIR,
+    parseFrontMatter,
+    formatDate,
+    parseDisplayDate,
+    tagSlug,
+    loadPosts
+};
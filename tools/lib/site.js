@@ -0,0 +1,12 @@
+// Site-wide settings shared by the build tools
+
+'use strict';
+
+module.exports = {
+    title: 'Shutter Thoughts',
+    description: 'A personal blog showcasing amateur photography and personal thoughts',
+    author: 'Shutter Thoughts',
+    language: 'en-us',
+    // Absolute URLs in feeds are built from this; override with SITE_URL when publishing elsewhere
+    url: (process.env.SITE_URL || 'https://calhounfrommesa.github.io/Shutter-Thoughts/').replace(/\/?$/, '/')
+};
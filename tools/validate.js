@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// Content checks to run before publishing: reads index.html and about.html and the images/ folder,
+// and lists missing alt text, empty captions, broken media paths, photos no page uses, oversized
+// originals, unreadable post dates, duplicate post titles and stray OS files.
+// Usage: node tools/validate.js   (exits with 1 when anything is found)
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, parseDisplayDate } = require('./lib/posts');
+const { stripTags, getAttribute, findTags, extractPosts } = require('./lib/html');
+
+const PAGES = ['index.html', 'about.html'];
+const IMAGES_DIR = path.join(ROOT, 'images');
+// Resized copies from tools/images.js; only the originals around them need to be used by a post
+const GENERATED_DIR = path.join(IMAGES_DIR, 'generated');
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov'];
+// Photo originals are the largest file in every srcset, so anything bigger than this is slow on a phone
+const MAX_ORIGINAL_BYTES = 2 * 1024 * 1024;
+// Files operating systems leave behind that never belong in the site
+const OS_FILES = [/^\.DS_Store$/, /^\._/, /^Thumbs\.db$/i, /^desktop\.ini$/i, /^\.directory$/];
+const SKIPPED_DIRS = ['.git', 'node_modules'];
+
+function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return SKIPPED_DIRS.includes(entry.name) ? [] : listFiles(fullPath);
+        }
+        return [fullPath];
+    });
+}
+
+function toSitePath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+function lineOf(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+// Local media paths a page uses, as site paths; external and data: URLs are left alone
+function mediaPaths(html) {
+    const paths = [];
+    const add = value => {
+        if (!value || /^([a-z]+:|\/\/|#)/i.test(value)) return;
+        let decoded = value;
+        try {
+            decoded = decodeURI(value);
+        } catch (error) {
+            // A stray % in a file name; check the path as written
+        }
+        paths.push(decoded.replace(/^\.\//, '').split(/[?#]/)[0]);
+    };
+
+    ['img', 'source', 'video'].forEach(tagName => findTags(html, tagName).forEach(tag => {
+        add(getAttribute(tag, 'src'));
+        add(getAttribute(tag, 'poster'));
+        const srcset = getAttribute(tag, 'srcset');
+        if (srcset) {
+            srcset.split(',').forEach(candidate => add(candidate.trim().split(/\s+/)[0]));
+        }
+    }));
+
+    // Originals of before/after pairs (see tools/lib/markdown.js)
+    (html.match(/\sdata-original="[^"]*"/gi) || []).forEach(attribute => add(getAttribute(attribute, 'data-original')));
+
+    return paths;
+}
+
+function checkPosts(page, html, report) {
+    const posts = extractPosts(html);
+    const titles = new Map();
+
+    posts.forEach(post => {
+        const where = `${page}: "${post.title || post.id || 'untitled post'}"`;
+
+        if (!parseDisplayDate(post.date)) {
+            report(`${where} has a post date that can't be read: "${post.date}"`);
+        }
+
+        const key = post.title.trim().toLowerCase();
+        if (key) {
+            if (titles.has(key)) {
+                report(`${where} has the same title as the post at line ${titles.get(key)}`);
+            } else {
+                titles.set(key, lineOf(html, post.offset));
+            }
+        }
+    });
+
+    return posts.length;
+}
+
+function checkImages(page, html, report) {
+    findTags(html, 'img').forEach(tag => {
+        const src = getAttribute(tag, 'src') || '(no src)';
+        const alt = getAttribute(tag, 'alt');
+        if (alt === null) {
+            report(`${page}: ${src} has no alt text`);
+        } else if (!alt.trim()) {
+            report(`${page}: ${src} has empty alt text`);
+        }
+    });
+
+    const captionPattern = /<p\b[^>]*class="[^"]*\bimage-caption\b[^"]*"[^>]*>([\s\S]*?)<\/p>/gi;
+    let caption;
+    while ((caption = captionPattern.exec(html)) !== null) {
+        if (!stripTags(caption[1])) {
+            report(`${page}: empty image caption at line ${lineOf(html, caption.index)}`);
+        }
+    }
+}
+
+function validate() {
+    const problems = [];
+    const report = message => problems.push(message);
+    const used = new Set();
+    let postCount = 0;
+
+    PAGES.forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        postCount += checkPosts(page, html, report);
+        checkImages(page, html, report);
+
+        new Set(mediaPaths(html)).forEach(sitePath => {
+            used.add(sitePath);
+            if (!fs.existsSync(path.join(ROOT, sitePath))) {
+                report(`${page}: ${sitePath} does not exist`);
+            }
+        });
+    });
+
+    const files = listFiles(ROOT);
+    const originals = files.filter(file => (
+        file.startsWith(IMAGES_DIR + path.sep)
+        && !file.startsWith(GENERATED_DIR + path.sep)
+        && [...PHOTO_EXTENSIONS, ...VIDEO_EXTENSIONS].includes(path.extname(file).toLowerCase())
+    ));
+
+    originals.forEach(file => {
+        const sitePath = toSitePath(file);
+        if (!used.has(sitePath)) {
+            report(`${sitePath} isn't used by any page`);
+        }
+
+        const size = fs.statSync(file).size;
+        if (size > MAX_ORIGINAL_BYTES && PHOTO_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+            report(`${sitePath} is ${formatBytes(size)}; keep originals under ${formatBytes(MAX_ORIGINAL_BYTES)}`);
+        }
+    });
+
+    files
+        .filter(file => OS_FILES.some(pattern => pattern.test(path.basename(file))))
+        .forEach(file => report(`${toSitePath(file)} is an operating system file and should be deleted`));
+
+    return { problems, postCount, photoCount: originals.length };
+}
+
+if (require.main === module) {
+    try {
+        const { problems, postCount, photoCount } = validate();
+        if (problems.length) {
+            console.error(`Found ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+            problems.forEach(problem => console.error(`  - ${problem}`));
+            process.exit(1);
+        }
+        console.log(`No problems found in ${postCount} posts and ${photoCount} photos and clips.`);
+    } catch (error) {
+        console.error(`Validation failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { validate };